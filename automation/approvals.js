@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Approval Queue
+ * Holds successful results of tasks whose priority needs sign-off (critical by
+ * default, see "approvals" in config/team-assignments.json) as
+ * `awaiting_approval` until a named approver accepts or rejects them.
+ * Dependents stay blocked because the ledger only counts the task as
+ * completed once it is approved.
+ *
+ * Usage:
+ *   node automation/approvals.js list
+ *   node automation/approvals.js approve <task-id> --by <approver> [--comment <text>] [--day <n>]
+ *   node automation/approvals.js reject <task-id> --by <approver> --reason <text> [--day <n>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { parseArgs } = require('util');
+const { createClock, getClock } = require('./clock');
+const { getCurrentPhaseDay, getCurrentWeek, getRunDate } = require('./task-scheduler');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('approvals');
+
+const DEFAULT_APPROVALS_PATH = path.join(__dirname, '..', 'state', 'approvals.json');
+
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+
+function getTaskAssignment(teamConfig, taskId) {
+  const assignments = (teamConfig && teamConfig.taskAssignments) || {};
+  for (const week of Object.values(assignments)) {
+    if (week[taskId]) return week[taskId];
+  }
+  return null;
+}
+
+class ApprovalQueue {
+  constructor({
+    ledger,
+    teamConfig = {},
+    gates = null,
+    clock = getClock(),
+    statePath = process.env.HAL_APPROVALS_PATH || DEFAULT_APPROVALS_PATH
+  } = {}) {
+    this.ledger = ledger;
+    this.gates = gates;
+    this.clock = clock;
+    this.teamConfig = teamConfig;
+    this.settings = { enabled: false, priorities: ['critical'], approvers: [], ...(teamConfig.approvals || {}) };
+    this.statePath = statePath;
+    this.state = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.statePath)) return { approvals: {} };
+
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      logger.error(`❌ Failed to read approvals ${this.statePath}: ${error.message}`, { error });
+      return { approvals: {} };
+    }
+  }
+
+  // Every change starts from the file, since a decision can be written by the
+  // CLI or the dashboard while the engine is running
+  reload() {
+    this.state = this.load();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+  }
+
+  requiresApproval(task) {
+    if (!this.settings.enabled) return false;
+
+    const assignment = getTaskAssignment(this.teamConfig, task.id);
+    return Boolean(assignment && this.settings.priorities.includes(assignment.priority));
+  }
+
+  get(taskId) {
+    return this.state.approvals[taskId] || null;
+  }
+
+  getPending() {
+    return Object.values(this.state.approvals).filter(approval => approval.status === 'pending');
+  }
+
+  isApproved(taskId) {
+    const approval = this.get(taskId);
+    return Boolean(approval && approval.status === 'approved');
+  }
+
+  /**
+   * Files an approval request for a completed result and returns the result
+   * rewritten to `awaiting_approval`, ready to be recorded in the ledger.
+   * Multi-day tasks complete again on each of their days: an approved task
+   * stays completed and a pending request is left as it is.
+   */
+  request(task, result, { day, week, runId } = {}) {
+    this.reload();
+    const existing = this.get(task.id);
+    if (existing && existing.status === 'approved') return result;
+    if (existing && existing.status === 'pending') return this.toAwaitingApproval(task, result);
+
+    this.state.approvals[task.id] = {
+      taskId: task.id,
+      name: task.name,
+      owner: task.owner,
+      day,
+      week,
+      status: 'pending',
+      approvers: this.settings.approvers,
+      outcome: result.message,
+      requestedAt: moment().toISOString(),
+      requestedRunId: runId,
+      announcedRunIds: [runId]
+    };
+    this.save();
+
+    logger.info(`🖐️  Task ${task.id} awaiting approval from ${this.settings.approvers.join(', ') || 'any approver'}`, { taskId: task.id });
+
+    return this.toAwaitingApproval(task, result);
+  }
+
+  toAwaitingApproval(task, result) {
+    return {
+      ...result,
+      status: 'awaiting_approval',
+      message: `${result.message}. Awaiting approval: node automation/approvals.js approve ${task.id} --by <approver>`
+    };
+  }
+
+  // Pending approvals not yet announced by this run
+  getUnannounced(runId) {
+    return this.getPending().filter(approval => !(approval.announcedRunIds || []).includes(runId));
+  }
+
+  markAnnounced(taskIds, runId) {
+    this.reload();
+    taskIds.forEach(taskId => {
+      const approval = this.get(taskId);
+      if (approval) approval.announcedRunIds = [...(approval.announcedRunIds || []), runId];
+    });
+    this.save();
+  }
+
+  /**
+   * Records an approver's decision. Approval marks the task completed in the
+   * ledger so dependents can run; rejection records it as `rejected`. The
+   * entry goes under the phase day of the decision, whose report is not yet
+   * written, rather than the day the task ran. Failed quality gates are then
+   * re-evaluated, as an approved checkpoint can lift their hold.
+   */
+  decide(taskId, { decision, by, comment }) {
+    const status = DECISIONS[decision];
+    if (!status) {
+      throw new Error(`Unknown decision "${decision}": expected approve or reject`);
+    }
+    if (!by) {
+      throw new Error('An approval decision requires --by <approver>');
+    }
+    if (status === 'rejected' && !comment) {
+      throw new Error('Rejecting a task requires --reason');
+    }
+
+    this.reload();
+    this.ledger.load();
+    const approval = this.get(taskId);
+    if (!approval || approval.status !== 'pending') {
+      throw new Error(`Task ${taskId} has no pending approval`);
+    }
+
+    const approver = by.toLowerCase();
+    if (this.settings.approvers.length > 0 && !this.settings.approvers.includes(approver)) {
+      throw new Error(`${by} is not an approver: expected one of ${this.settings.approvers.join(', ')}`);
+    }
+    if (approver === String(approval.owner).toLowerCase()) {
+      throw new Error(`${by} owns task ${taskId} and cannot approve their own work`);
+    }
+
+    const day = getCurrentPhaseDay(this.clock);
+    approval.status = status;
+    approval.decision = { by: approver, comment: comment || null, day, at: moment().toISOString() };
+
+    const entry = this.ledger.getLatestEntry(taskId) || {};
+    this.ledger.recordResult({
+      ...entry,
+      taskId,
+      status: status === 'approved' ? 'completed' : 'rejected',
+      message: `${status === 'approved' ? 'Approved' : 'Rejected'} by ${approver}${comment ? `: ${comment}` : ''}`,
+      approval: approval.decision
+    }, { day, week: getCurrentWeek(day), date: getRunDate(this.clock).format('YYYY-MM-DD') });
+    this.save();
+
+    logger.info(`${status === 'approved' ? '👍' : '👎'} Task ${taskId} ${status} by ${approver}`, { taskId, decision: approval.decision });
+    if (this.gates) this.gates.reevaluateFailed();
+    return approval;
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      by: { type: 'string' },
+      comment: { type: 'string' },
+      reason: { type: 'string' },
+      day: { type: 'string' },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'approvals', level: values['log-level'] });
+  const clock = createClock({ day: values.day });
+
+  const { TaskLedger } = require('./task-ledger');
+  const { QualityGates } = require('./quality-gates');
+  const teamConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'team-assignments.json'), 'utf8'));
+  const ledger = new TaskLedger();
+  const approvals = new ApprovalQueue({ ledger, teamConfig, clock, gates: new QualityGates({ ledger, teamConfig }) });
+  const [command = 'list', taskId] = positionals;
+
+  if (command === 'list') {
+    console.log(JSON.stringify(approvals.getPending(), null, 2));
+    return;
+  }
+
+  console.log(JSON.stringify(approvals.decide(taskId, {
+    decision: command,
+    by: values.by,
+    comment: values.reason || values.comment
+  }), null, 2));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = { ApprovalQueue, DEFAULT_APPROVALS_PATH };
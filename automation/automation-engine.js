@@ -7,20 +7,58 @@
 
 const moment = require('moment');
 const fs = require('fs');
-const path = require('path');
-const { IncomingWebhook } = require('@slack/webhook');
+const { parseArgs } = require('util');
 
 // Import task scheduler
-const { getCurrentPhaseDay, getCurrentWeek, getTasksForDay, TASKS } = require('./task-scheduler');
+const { getCurrentPhaseDay, getCurrentWeek, getNextDay, getTasksForDay, getRunDate, isWorkingToday, getPhasePlan } = require('./task-scheduler');
+const { createClock, getClock, setClock } = require('./clock');
+const { TaskLedger } = require('./task-ledger');
+const { HandlerRegistry, getTaskType } = require('./handler-registry');
+const { DagExecutor } = require('./dag-executor');
+const { RetryPolicy, classifyError, withTimeout } = require('./retry-policy');
+const { buildExecutionPlan, formatExecutionPlan } = require('./execution-plan');
+const { RunCheckpoint } = require('./run-checkpoint');
+const { createLogger, configureLogging } = require('./logger');
+const { EngineEventBus, loadPlugins } = require('./event-bus');
+const { QualityGates } = require('./quality-gates');
+const { ApprovalQueue } = require('./approvals');
+const { Rescheduler } = require('./rescheduler');
+const { ReassignmentEngine } = require('./reassignment');
+const { MeasurementStore } = require('./measurements');
+const { validateTeamConfig } = require('./team-config');
+const { Notifier } = require('./notifier');
+const { buildRunStartedMessage, buildTaskMessage, buildDailyReportMessage, buildAlertMessages, buildRetrospectiveMessage, buildReassignmentMessage, buildGateMessage, buildApprovalReminderMessage } = require('./slack-blocks');
+const { RetrospectiveBuilder, getRetrospectiveScopes } = require('./retrospective');
+const { REPORT_SCHEMA_VERSION, validateReport } = require('./report-schema');
+const { buildForecast, summarizeForecast, loadDailyReports } = require('./forecast');
+
+const logger = createLogger('automation-engine');
 
 class HalPhase3AutomationEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.clock = options.clock || getClock();
     this.config = this.loadConfiguration();
-    this.slackWebhook = process.env.SLACK_WEBHOOK_URL ? new IncomingWebhook(process.env.SLACK_WEBHOOK_URL) : null;
+    this.notifier = options.notifier || new Notifier();
+    this.ledger = new TaskLedger();
+    this.handlers = new HandlerRegistry().loadDirectory();
+    this.gates = new QualityGates({ ledger: this.ledger, teamConfig: this.config });
+    this.approvals = new ApprovalQueue({ ledger: this.ledger, teamConfig: this.config, clock: this.clock });
+    this.rescheduler = new Rescheduler({ ledger: this.ledger, teamConfig: this.config });
+    this.reassignments = new ReassignmentEngine({ ledger: this.ledger, teamConfig: this.config });
+    this.measurements = new MeasurementStore();
+    this.events = options.events || new EngineEventBus();
+    this.plugins = options.dryRun ? [] : loadPlugins(this.events, { engine: this, config: this.config });
     this.startTime = moment();
     
-    console.log('🚀 HAL Phase 3 Automation Engine Initialized');
-    console.log(`⏰ Start Time: ${this.startTime.format('YYYY-MM-DD HH:mm:ss')} GST`);
+    if (options.quiet) return;
+    
+    logger.info('🚀 HAL Phase 3 Automation Engine Initialized');
+    logger.info(`⏰ Start Time: ${getPhasePlan().calendar.now().format('YYYY-MM-DD HH:mm:ss')} (${getPhasePlan().calendar.timezone})`);
+    
+    if (this.clock.isOverridden()) {
+      logger.info(`🕰️  Clock override (${this.clock.source}): ${JSON.stringify(this.clock.describe())}`, { clockOverride: this.clock.describe() });
+    }
   }
 
   loadConfiguration() {
@@ -28,110 +66,439 @@ class HalPhase3AutomationEngine {
       const teamConfig = JSON.parse(fs.readFileSync('config/team-assignments.json', 'utf8'));
       return teamConfig;
     } catch (error) {
-      console.error('❌ Failed to load configuration:', error.message);
+      logger.error(`❌ Failed to load configuration: ${error.message}`, { error });
       return { team: {}, taskAssignments: {} };
     }
   }
 
-  async executeDaily() {
-    console.log('\n🎯 Starting Daily Execution Cycle');
-    console.log('=====================================');
+  // Refuses to run while config/team-assignments.json contradicts the phase plan
+  verifyConfiguration() {
+    const { errors, warnings } = validateTeamConfig(getPhasePlan(), this.config);
+    
+    warnings.forEach(issue => {
+      logger.warn(`⚠️  Team configuration: ${issue.taskId || issue.member || 'team'} [${issue.code}] ${issue.message}`, { code: issue.code });
+    });
+    errors.forEach(issue => {
+      logger.error(`❌ Team configuration: ${issue.taskId || issue.member || 'team'} [${issue.code}] ${issue.message}`, { code: issue.code });
+    });
+    
+    if (errors.length > 0) {
+      throw new Error(`Team configuration does not match the phase plan (${errors.length} error(s)); run npm run team:check for details`);
+    }
+  }
+
+  // A missing ledger after day 1 means the state was lost (e.g. an evicted CI
+  // cache); running on would start the phase over from an empty ledger
+  verifyState(day, options = {}) {
+    if (day <= 1 || options.allowMissingState || fs.existsSync(this.ledger.filePath)) return;
     
-    const currentDay = getCurrentPhaseDay();
+    throw new Error(`Task ledger ${this.ledger.filePath} is missing on day ${day}: restore the engine state or re-run with --allow-missing-state to start from an empty ledger`);
+  }
+
+  async executeDaily(options = {}) {
+    this.verifyConfiguration();
+    
+    if (options.dryRun) {
+      return this.planDaily(options);
+    }
+    
+    logger.info('\n🎯 Starting Daily Execution Cycle');
+    logger.info('=====================================');
+    
+    // Weekends and holidays are not phase days; a --day override always runs
+    if (!isWorkingToday(this.clock)) {
+      const date = getRunDate(this.clock).format('YYYY-MM-DD');
+      logger.info(`🏖️  ${date} is not a working day (${getPhasePlan().calendar.describeNonWorkingDate(date)}): nothing scheduled`, { date });
+      return null;
+    }
+    
+    const currentDay = getCurrentPhaseDay(this.clock);
     const currentWeek = getCurrentWeek(currentDay);
+    this.verifyState(currentDay, options);
+    
+    // Cover for members who are out of office before today's owners are resolved
+    const reassignment = this.coverAbsences(currentDay);
     const tasksForToday = getTasksForDay(currentDay);
     
-    console.log(`📅 Current Day: ${currentDay}/18`);
-    console.log(`📋 Current Week: ${currentWeek}`);
-    console.log(`📝 Tasks Scheduled: ${tasksForToday.length}`);
+    // Checkpoint under a run id so a re-run of the same day resumes instead of repeating work
+    this.checkpoint = new RunCheckpoint({ day: currentDay, week: currentWeek, date: getRunDate(this.clock).format('YYYY-MM-DD') });
+    const runId = this.checkpoint.startAttempt({ force: Boolean(options.force) });
+    const attempt = this.checkpoint.state.attempts.length;
+    
+    // Correlate every log line and event of this run with the run id
+    configureLogging({ context: { runId, day: currentDay, week: currentWeek } });
+    this.events.setContext({ runId, day: currentDay, week: currentWeek });
+    
+    // Tasks signed off on an earlier day of their schedule are not run again
+    const approvedTasks = tasksForToday.filter(task => this.isApprovedCompletion(task));
+    const pendingTasks = tasksForToday
+      .filter(task => !approvedTasks.includes(task))
+      .filter(task => options.force || !this.checkpoint.isTaskCompleted(task.id));
+    const skippedTasks = tasksForToday.filter(task => !pendingTasks.includes(task) && !approvedTasks.includes(task));
+    
+    logger.info(`📅 Current Day: ${currentDay}/${getPhasePlan().totalDays}`);
+    logger.info(`📋 Current Week: ${currentWeek}`);
+    logger.info(`📝 Tasks Scheduled: ${tasksForToday.length}`, { tasks: tasksForToday.map(t => t.id) });
+    logger.info(`🆔 Run: ${runId} (attempt ${attempt} for ${this.checkpoint.runKey})`, { attempt, runKey: this.checkpoint.runKey });
+    
+    if (skippedTasks.length > 0) {
+      logger.info(`⏭️  Skipping tasks completed by an earlier attempt: ${skippedTasks.map(t => t.id).join(', ')}`);
+    }
+    if (approvedTasks.length > 0) {
+      logger.info(`⏭️  Skipping tasks already completed and approved: ${approvedTasks.map(t => t.id).join(', ')}`);
+    }
     
     // Send daily startup notification
-    await this.sendSlackNotification({
-      text: `🌅 HAL Phase 3 Daily Execution Started`,
-      attachments: [{
-        color: 'good',
-        fields: [
-          { title: 'Phase Day', value: `${currentDay}/18`, short: true },
-          { title: 'Current Week', value: currentWeek.toString(), short: true },
-          { title: 'Tasks Today', value: tasksForToday.length.toString(), short: true },
-          { title: 'Status', value: '🔄 Starting Execution', short: true }
-        ]
-      }]
+    await this.sendNotification('run.started', 'info', buildRunStartedMessage({
+      day: currentDay,
+      week: currentWeek,
+      totalDays: getPhasePlan().totalDays,
+      tasksToday: tasksForToday.length,
+      resumed: this.checkpoint.isResume(),
+      attempt,
+      remaining: pendingTasks.length
+    }));
+    
+    // Announce completions the previous attempt checkpointed but died before posting
+    for (const task of skippedTasks) {
+      const entry = this.checkpoint.getTask(task.id);
+      if (!entry.notified) {
+        await this.sendTaskNotification(task, entry.result);
+        this.checkpoint.markNotified(task.id);
+      }
+    }
+    
+    this.events.publish('run.started', {
+      runKey: this.checkpoint.runKey,
+      attempt,
+      resumed: this.checkpoint.isResume(),
+      tasks: tasksForToday.map(t => t.id),
+      pending: pendingTasks.map(t => t.id)
     });
     
-    // Execute tasks
-    const results = await this.executeTasks(tasksForToday, currentWeek);
+    await this.announceReassignments(currentDay, reassignment);
+    await this.announcePendingApprovals(runId);
+    
+    // Lift holds whose gate passes now, e.g. after its checkpoint was approved
+    await this.reevaluateFailedGates();
+    
+    // Hold tasks guarded by a failed quality gate, then execute the rest
+    const gatedResults = [];
+    for (const task of pendingTasks.filter(t => this.gates.getHold(t))) {
+      const result = this.createGatedResult(task, this.gates.getHold(task));
+      this.recordTaskResult(task, currentWeek, result);
+      await this.sendTaskNotification(task, result);
+      if (this.checkpoint) this.checkpoint.markNotified(task.id);
+      gatedResults.push(result);
+    }
+    
+    const executed = await this.executeTasks(pendingTasks.filter(t => !this.gates.getHold(t)), currentWeek);
+    const results = [...gatedResults, ...executed];
+    
+    await this.evaluateQualityGates(results);
+    
+    // Carry failed and blocked tasks forward before tomorrow's schedule is reported
+    const reschedule = this.rescheduler.reschedule(currentDay);
+    if (reschedule.shifts.length > 0) {
+      this.events.publish('schedule.revised', { revision: reschedule.revision, shifts: reschedule.shifts, unplaced: reschedule.unplaced });
+    }
     
     // Generate and send daily report
-    await this.generateDailyReport(currentDay, currentWeek, results);
+    const report = await this.generateDailyReport(currentDay, currentWeek, results, reschedule, reassignment);
+    
+    this.checkpoint.finishAttempt();
+    await this.events.flush();
+    logger.info('\n✅ Daily Execution Cycle Complete');
+    
+    return report;
+  }
+
+  // Resolves today's execution plan without running handlers, writing reports or posting to Slack
+  planDaily(options = {}) {
+    const currentDay = getCurrentPhaseDay(this.clock);
+    const currentWeek = getCurrentWeek(currentDay);
+    const workingDay = isWorkingToday(this.clock);
+    const tasksForToday = workingDay ? getTasksForDay(currentDay) : [];
+    const checkpoint = new RunCheckpoint({ day: currentDay, week: currentWeek, date: getRunDate(this.clock).format('YYYY-MM-DD') });
+    
+    const plan = buildExecutionPlan({
+      day: currentDay,
+      week: currentWeek,
+      tasks: tasksForToday,
+      completedTaskIds: options.force ? [] : tasksForToday.filter(task => checkpoint.isTaskCompleted(task.id)).map(task => task.id),
+      approvedTaskIds: tasksForToday.filter(task => this.isApprovedCompletion(task)).map(task => task.id),
+      gatedTasks: tasksForToday.reduce((gated, task) => {
+        const gate = this.gates.getHold(task);
+        if (gate) gated[task.id] = gate.id;
+        return gated;
+      }, {}),
+      ledger: this.ledger,
+      handlers: this.handlers,
+      execution: this.config.execution,
+      options: this.getExecutionOptions()
+    });
     
-    console.log('\n✅ Daily Execution Cycle Complete');
+    return { ...plan, workingDay, clockOverride: this.clock.describe() };
+  }
+
+  isApprovedCompletion(task) {
+    return this.ledger.isCompleted(task.id) && this.approvals.isApproved(task.id);
   }
 
   async executeTasks(tasks, week) {
-    console.log(`\n⚙️  Executing ${tasks.length} tasks for Week ${week}`);
+    const options = this.getExecutionOptions();
+    
+    logger.info(`\n⚙️  Executing ${tasks.length} tasks for Week ${week}`);
+    logger.info(`🔀 Concurrency: ${options.concurrency} (max ${options.perOwnerConcurrency} per owner)`);
     
-    const results = [];
+    const executor = new DagExecutor(options);
     
-    for (const task of tasks) {
-      console.log(`\n🔧 Processing Task ${task.id}: ${task.name}`);
-      console.log(`👤 Owner: ${task.owner}`);
-      console.log(`⏱️  Estimated: ${task.hours} hours`);
+    return executor.run(tasks, async (task) => {
+      const taskLogger = this.getTaskLogger(task, week);
+      taskLogger.info(`\n🔧 Processing Task ${task.id}: ${task.name}`);
+      taskLogger.info(`👤 Owner: ${task.owner}`);
+      taskLogger.info(`⏱️  Estimated: ${task.hours} hours`);
       
-      const result = await this.executeTask(task, week);
-      results.push(result);
+      this.events.publish('task.started', { taskId: task.id, name: task.name, owner: task.owner, hours: task.hours });
+      let result = await this.executeTask(task, week);
       
-      // Send task notification to Slack
-      await this.sendTaskNotification(task, result);
+      if (result.status === 'completed' && this.approvals.requiresApproval(task)) {
+        result = this.approvals.request(task, result, { day: task.day, week, runId: this.checkpoint ? this.checkpoint.runId : null });
+      }
+      
+      // Persist the outcome before dependents start so they see real completion data
+      this.recordTaskResult(task, week, result);
       
-      // Brief pause between tasks
-      await this.sleep(2000);
+      return result;
+    }, async (task, result) => {
+      await this.sendTaskNotification(task, result);
+      if (this.checkpoint) this.checkpoint.markNotified(task.id);
+    });
+  }
+
+  recordTaskResult(task, week, result) {
+    this.ledger.recordResult(result, { day: task.day, week, date: getRunDate(this.clock).format('YYYY-MM-DD') });
+    if (this.checkpoint) this.checkpoint.recordTask(result);
+    if ((result.metrics || []).length > 0) {
+      this.measurements.record(result.metrics, { taskId: task.id, day: task.day });
     }
     
-    return results;
+    this.events.publish(`task.${result.status}`, {
+      taskId: task.id,
+      name: task.name,
+      owner: task.owner,
+      status: result.status,
+      message: result.message,
+      duration: result.duration,
+      mode: result.mode,
+      classification: result.classification,
+      attempts: (result.attempts || []).length,
+      missingDependencies: result.missingDependencies,
+      gateId: result.gateId
+    });
+  }
+
+  /**
+   * Finds open tasks whose owner is out of office from this day on. In
+   * "apply" mode (reassignment.mode) they go to the top-ranked substitute;
+   * otherwise the substitutes are only proposed.
+   */
+  coverAbsences(day) {
+    const mode = this.reassignments.settings.mode;
+    const { changes, uncovered } = mode === 'apply'
+      ? this.reassignments.apply(day)
+      : { changes: [], uncovered: this.reassignments.propose(day) };
+    
+    uncovered.forEach(proposal => {
+      logger.warn(`🏝️  ${proposal.taskId} owner @${proposal.owner} is away on day(s) ${proposal.absentDays.join(', ')}: ${proposal.substitute ? `suggested @${proposal.substitute}` : 'no available substitute'}`, { taskId: proposal.taskId, owner: proposal.owner, substitute: proposal.substitute });
+    });
+    
+    return { mode, changes, proposals: uncovered };
+  }
+
+  // Tells the absent owners and their substitutes about today's reassignments
+  async announceReassignments(day, reassignment) {
+    if (reassignment.changes.length === 0 && reassignment.proposals.length === 0) return;
+    
+    reassignment.changes.forEach(change => {
+      this.events.publish('task.reassigned', { taskId: change.taskId, from: change.from, to: change.to, reason: change.reason });
+    });
+    
+    const unstaffed = reassignment.proposals.filter(proposal => !proposal.substitute);
+    await this.sendNotification('task.reassigned', unstaffed.length > 0 ? 'warning' : 'info', buildReassignmentMessage({ day, ...reassignment }));
+    
+    // Nobody has room and matching skills: the task stays with its absent owner until someone steps in
+    const alerts = unstaffed.map(proposal => ({
+      taskId: proposal.taskId,
+      status: 'unstaffed',
+      owner: proposal.owner,
+      message: `@${proposal.owner} is away on day(s) ${proposal.absentDays.join(', ')} (${proposal.absence}) and no member has room and matching skills. Assign one with \`npm run reassign -- assign ${proposal.taskId} <member>\``
+    }));
+    for (const alertMessage of alerts.length > 0 ? buildAlertMessages(alerts) : []) {
+      await this.sendNotification('task.unstaffed', 'error', alertMessage);
+    }
+  }
+
+  // Re-announces approvals still unanswered from earlier runs
+  async announcePendingApprovals(runId) {
+    const unanswered = this.approvals.getUnannounced(runId);
+    if (unanswered.length === 0) return;
+    
+    logger.info(`🖐️  ${unanswered.length} approvals still pending: ${unanswered.map(a => a.taskId).join(', ')}`);
+    
+    await this.sendNotification('approval.reminder', 'warning', buildApprovalReminderMessage(unanswered));
+    
+    this.approvals.markAnnounced(unanswered.map(a => a.taskId), runId);
+  }
+
+  createGatedResult(task, gate) {
+    const now = moment();
+    
+    this.getTaskLogger(task, task.week).warn(`🚧 Task ${task.id} held by failed quality gate ${gate.id}`, { gateId: gate.id });
+    
+    return {
+      taskId: task.id,
+      status: 'gated',
+      message: `Held by failed quality gate ${gate.name} (${gate.id}). Override: node automation/quality-gates.js override ${gate.id} --by <name> --reason <text>`,
+      gateId: gate.id,
+      startTime: now,
+      endTime: now,
+      duration: 0,
+      owner: task.owner
+    };
+  }
+
+  // Evaluates the gates whose checkpoint task settled in this run
+  async evaluateQualityGates(results) {
+    const evaluations = [];
+    
+    for (const result of results) {
+      for (const gate of this.gates.getGatesForCheckpoint(result.taskId)) {
+        const evaluation = this.gates.evaluate(gate.id);
+        evaluations.push(evaluation);
+        
+        this.events.publish('gate.evaluated', evaluation);
+        await this.sendGateNotification(gate, evaluation);
+      }
+    }
+    
+    return evaluations;
+  }
+
+  // Announces failed gates that pass on re-evaluation; the ones still failing keep their hold quietly
+  async reevaluateFailedGates() {
+    const evaluations = this.gates.reevaluateFailed();
+    
+    for (const evaluation of evaluations) {
+      this.events.publish('gate.evaluated', evaluation);
+      if (evaluation.status === 'passed') {
+        await this.sendGateNotification(this.gates.getGate(evaluation.gateId), evaluation);
+      }
+    }
+    
+    return evaluations;
+  }
+
+  getExecutionOptions() {
+    const execution = this.config.execution || {};
+    
+    return {
+      concurrency: parseInt(process.env.HAL_CONCURRENCY, 10) || execution.concurrency || 3,
+      perOwnerConcurrency: execution.perOwnerConcurrency || 1
+    };
+  }
+
+  getTaskLogger(task, week) {
+    return logger.child({ taskId: task.id, day: task.day, week, owner: task.owner });
   }
 
   async executeTask(task, week) {
     const startTime = moment();
+    const taskLogger = this.getTaskLogger(task, week);
     
     try {
       // Check dependencies
-      const dependenciesReady = await this.checkDependencies(task.deps);
+      const missingDependencies = await this.checkDependencies(task.deps);
       
-      if (!dependenciesReady) {
+      if (missingDependencies.length > 0) {
+        taskLogger.warn(`⏸️  Task ${task.id} blocked by: ${missingDependencies.join(', ')}`, { missingDependencies });
+        
         return {
           taskId: task.id,
           status: 'blocked',
-          message: 'Dependencies not completed',
+          message: `Dependencies not completed: ${missingDependencies.join(', ')}`,
+          missingDependencies,
           startTime,
           endTime: moment(),
-          duration: 0
+          duration: 0,
+          owner: task.owner
         };
       }
       
-      // Simulate task execution based on task type
-      await this.simulateTaskExecution(task);
-      
-      const endTime = moment();
-      const duration = endTime.diff(startTime, 'seconds');
+      const handler = this.handlers.resolve(task);
+      const policy = RetryPolicy.forTask(this.config.execution, task, getTaskType(task));
+      const attempts = [];
       
-      console.log(`✅ Task ${task.id} completed successfully in ${duration}s`);
-      
-      return {
-        taskId: task.id,
-        status: 'completed',
-        message: 'Task completed successfully',
-        startTime,
-        endTime,
-        duration,
-        owner: task.owner
-      };
+      for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+        const attemptStart = moment();
+        
+        try {
+          const output = await withTimeout(
+            signal => this.runTaskHandler(handler, task, week, { signal, attempt }),
+            policy.timeoutMs,
+            task.id
+          ) || {};
+          
+          attempts.push({ attempt, status: 'completed', duration: moment().diff(attemptStart, 'seconds') });
+          
+          const endTime = moment();
+          const duration = endTime.diff(startTime, 'seconds');
+          
+          taskLogger.info(`✅ Task ${task.id} completed successfully in ${duration}s (attempt ${attempt}/${policy.maxAttempts})`, { duration, attempt });
+          
+          return {
+            taskId: task.id,
+            status: 'completed',
+            message: output.message || 'Task completed successfully',
+            startTime,
+            endTime,
+            duration,
+            owner: task.owner,
+            mode: handler ? 'real' : 'simulated',
+            handler: handler ? handler.name : null,
+            artifacts: output.artifacts || [],
+            output: output.output,
+            metrics: output.metrics || [],
+            attempts
+          };
+        } catch (error) {
+          const classification = classifyError(error);
+          
+          attempts.push({
+            attempt,
+            status: 'failed',
+            classification,
+            error: error.message,
+            duration: moment().diff(attemptStart, 'seconds')
+          });
+          
+          if (!policy.shouldRetry(classification, attempt)) {
+            error.classification = classification;
+            error.attempts = attempts;
+            throw error;
+          }
+          
+          const delay = policy.getDelay(attempt);
+          taskLogger.warn(`🔁 Task ${task.id} attempt ${attempt}/${policy.maxAttempts} failed (${classification}): ${error.message}. Retrying in ${Math.round(delay / 1000)}s`, { attempt, classification, delay, error });
+          await this.sleep(delay);
+        }
+      }
       
     } catch (error) {
       const endTime = moment();
       const duration = endTime.diff(startTime, 'seconds');
       
-      console.error(`❌ Task ${task.id} failed:`, error.message);
+      taskLogger.error(`❌ Task ${task.id} failed: ${error.message}`, { duration, classification: error.classification, error });
       
       return {
         taskId: task.id,
@@ -141,20 +508,39 @@ class HalPhase3AutomationEngine {
         endTime,
         duration,
         owner: task.owner,
+        mode: this.handlers.resolve(task) ? 'real' : 'simulated',
+        classification: error.classification || classifyError(error),
+        attempts: error.attempts || [],
         error: error.stack
       };
     }
   }
 
+  // Runs the registered handler for a task, falling back to the simulator
+  async runTaskHandler(handler, task, week, { signal, attempt }) {
+    if (!handler) {
+      await this.simulateTaskExecution(task, signal);
+      return {};
+    }
+    
+    this.getTaskLogger(task, week).info(`🛠️  Running handler ${handler.name} for task ${task.id}`, { handler: handler.name, attempt });
+    return handler.run(task, {
+      week,
+      day: task.day,
+      attempt,
+      signal,
+      dependencyOutputs: this.ledger.getDependencyOutputs(task.deps)
+    });
+  }
+
   async checkDependencies(deps) {
-    if (!deps || deps.length === 0) return true;
+    if (!deps || deps.length === 0) return [];
     
-    // In a real implementation, this would check actual task completion status
-    // For simulation, we'll assume 80% of dependencies are ready
-    return Math.random() > 0.2;
+    // Returns the dependencies that have no completed result in the ledger
+    return this.ledger.getMissingDependencies(deps);
   }
 
-  async simulateTaskExecution(task) {
+  async simulateTaskExecution(task, signal) {
     // Simulate different task types with varying execution times
     const taskTypes = {
       'Schema': { baseTime: 3000, variance: 1000 },
@@ -166,71 +552,164 @@ class HalPhase3AutomationEngine {
       'Dashboard': { baseTime: 4000, variance: 1000 }
     };
     
-    // Determine task type from name
-    let taskType = 'Schema'; // default
-    for (const type in taskTypes) {
-      if (task.name.includes(type)) {
-        taskType = type;
-        break;
-      }
-    }
-    
+    const taskType = getTaskType(task);
     const config = taskTypes[taskType];
     const executionTime = config.baseTime + Math.random() * config.variance;
     
-    console.log(`⏳ Simulating ${taskType} task execution (${Math.round(executionTime/1000)}s)`);
+    logger.debug(`⏳ Simulating ${taskType} task execution (${Math.round(executionTime/1000)}s)`, { taskId: task.id, taskType, executionTime });
     
-    // Simulate 5% chance of task failure
+    // Simulate 5% chance of a transient task failure
     if (Math.random() < 0.05) {
-      throw new Error(`Simulated failure during ${taskType} execution`);
+      const error = new Error(`Simulated failure during ${taskType} execution`);
+      error.transient = true;
+      throw error;
     }
     
-    await this.sleep(executionTime);
+    await this.sleep(executionTime, signal);
   }
 
-  async generateDailyReport(day, week, results) {
-    console.log('\n📊 Generating Daily Report');
+  async generateDailyReport(day, week, results, reschedule = null, reassignment = null) {
+    logger.info('\n📊 Generating Daily Report');
     
-    const completed = results.filter(r => r.status === 'completed');
-    const failed = results.filter(r => r.status === 'failed');
-    const blocked = results.filter(r => r.status === 'blocked');
+    // Summarize from the ledger so the report matches what dependency checks see
+    const dayResults = this.ledger.getResultsForDay(day);
+    const completed = dayResults.filter(r => r.status === 'completed');
+    const failed = dayResults.filter(r => r.status === 'failed');
+    const blocked = dayResults.filter(r => r.status === 'blocked');
+    const gated = dayResults.filter(r => r.status === 'gated');
+    const awaitingApproval = dayResults.filter(r => r.status === 'awaiting_approval');
     
-    const totalDuration = results.reduce((sum, r) => sum + r.duration, 0);
-    const avgDuration = results.length > 0 ? totalDuration / results.length : 0;
+    const totalDuration = dayResults.reduce((sum, r) => sum + r.duration, 0);
+    const avgDuration = dayResults.length > 0 ? Math.round(totalDuration / dayResults.length) : null;
     
     const report = {
-      date: moment().format('YYYY-MM-DD'),
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      date: getRunDate(this.clock).format('YYYY-MM-DD'),
       day: day,
       week: week,
+      clockOverride: this.clock.describe(),
+      run: this.checkpoint ? {
+        runId: this.checkpoint.runId,
+        runKey: this.checkpoint.runKey,
+        attempts: this.checkpoint.state.attempts.length,
+        runIds: this.checkpoint.state.attempts.map(a => a.runId),
+        tasks: this.checkpoint.getMergedTasks()
+      } : null,
       summary: {
-        total: results.length,
+        total: dayResults.length,
         completed: completed.length,
         failed: failed.length,
         blocked: blocked.length,
-        successRate: results.length > 0 ? (completed.length / results.length * 100).toFixed(1) : '0'
+        gated: gated.length,
+        awaitingApproval: awaitingApproval.length,
+        successRate: dayResults.length > 0 ? (completed.length / dayResults.length * 100).toFixed(1) : '0'
+      },
+      progress: {
+        tasksCompleted: this.ledger.getCompletedCount(),
+        tasksTotal: getPhasePlan().totalTasks
       },
       performance: {
         totalTime: Math.round(totalDuration / 60), // minutes
-        averageTime: Math.round(avgDuration), // seconds
-        efficiency: this.calculateEfficiency(results)
+        averageTime: avgDuration, // seconds
+        efficiency: this.calculateEfficiency(dayResults)
       },
+      execution: this.describeExecutionModes(day),
+      qualityGates: this.gates.summary(),
+      pendingApprovals: this.approvals.getPending().map(approval => ({
+        taskId: approval.taskId,
+        name: approval.name,
+        owner: approval.owner,
+        day: approval.day,
+        approvers: approval.approvers,
+        requestedAt: approval.requestedAt
+      })),
+      results: dayResults.map(r => ({
+        taskId: r.taskId,
+        status: r.status,
+        owner: r.owner,
+        duration: r.duration,
+        message: r.message,
+        classification: r.classification
+      })),
+      retries: dayResults
+        .filter(r => (r.attempts || []).some(a => a.status === 'failed'))
+        .map(r => ({ taskId: r.taskId, status: r.status, classification: r.classification, attempts: r.attempts })),
       nextDay: {
-        day: Math.min(day + 1, 18),
-        week: getCurrentWeek(Math.min(day + 1, 18)),
-        scheduledTasks: getTasksForDay(Math.min(day + 1, 18)).length
+        day: getNextDay(day),
+        week: getCurrentWeek(getNextDay(day)),
+        scheduledTasks: getTasksForDay(getNextDay(day)).length
       }
     };
     
+    if (reschedule) {
+      report.reschedule = {
+        revision: reschedule.revision,
+        shifts: reschedule.shifts.map(({ taskId, owner, reason, from, to, overallocated }) => ({ taskId, owner, reason, from, to, overallocated })),
+        unplaced: reschedule.unplaced,
+        diff: reschedule.diff.map(({ taskId, owner, originalDays, revisedDays }) => ({ taskId, owner, originalDays, revisedDays }))
+      };
+    }
+    
+    if (reassignment && (reassignment.changes.length > 0 || reassignment.proposals.length > 0)) {
+      report.reassignment = {
+        mode: reassignment.mode,
+        changes: reassignment.changes.map(({ taskId, from, to, reason }) => ({ taskId, from, to, reason })),
+        proposals: reassignment.proposals.map(({ taskId, owner, absentDays, substitute }) => ({ taskId, owner, absentDays, substitute }))
+      };
+    }
+    
+    // Forecast from earlier reports plus today's results
+    const earlierReports = loadDailyReports('reports').filter(r => r.day !== report.day);
+    report.forecast = summarizeForecast(buildForecast({ plan: getPhasePlan(), reports: [...earlierReports, report], ledger: this.ledger }));
+    
+    // Refuse to write a report that readers would reject
+    const validation = validateReport(report);
+    if (!validation.valid) {
+      throw new Error(`Daily report for ${report.date} does not match schema v${REPORT_SCHEMA_VERSION}: ${validation.errors.join('; ')}`);
+    }
+    
     // Save report to file
-    fs.writeFileSync(`reports/daily-report-${report.date}.json`, JSON.stringify(report, null, 2));
+    const reportPath = `reports/daily-report-${report.date}.json`;
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    this.events.publish('report.generated', { path: reportPath, date: report.date, summary: report.summary, progress: report.progress });
     
     // Send comprehensive report to Slack
     await this.sendDailyReportToSlack(report, results);
     
+    await this.generateRetrospectives(day);
+    
     return report;
   }
 
+  // Rolls the daily reports up at the end of each week and of the phase
+  async generateRetrospectives(day) {
+    const builder = new RetrospectiveBuilder({ reportsDir: 'reports', teamConfig: this.config, ledger: this.ledger });
+    
+    for (const scope of getRetrospectiveScopes(day)) {
+      const retrospective = builder.build(scope);
+      const reportPath = builder.write(retrospective);
+      
+      this.events.publish('retrospective.generated', { path: reportPath, scope: retrospective.scope, summary: retrospective.summary });
+      await this.sendNotification('report.retrospective', 'info', buildRetrospectiveMessage(retrospective), {
+        scope: retrospective.scope,
+        summary: retrospective.summary
+      });
+    }
+  }
+
+  describeExecutionModes(day) {
+    const modes = this.handlers.describe(getTasksForDay(day));
+    
+    return {
+      real: modes.real,
+      simulated: modes.simulated.map(entry => entry.taskId)
+    };
+  }
+
   calculateEfficiency(results) {
+    // No tasks ran, so there is nothing to measure
+    if (results.length === 0) return null;
+    
     // Simple efficiency calculation based on completion rate and average time
     const completionRate = results.filter(r => r.status === 'completed').length / results.length;
     const avgTime = results.reduce((sum, r) => sum + r.duration, 0) / results.length;
@@ -242,114 +721,122 @@ class HalPhase3AutomationEngine {
   }
 
   async sendTaskNotification(task, result) {
-    if (!this.slackWebhook) return;
-    
-    const statusEmoji = {
-      'completed': '✅',
-      'failed': '❌', 
-      'blocked': '⏸️'
-    };
-    
-    const statusColor = {
-      'completed': 'good',
-      'failed': 'danger',
-      'blocked': 'warning'
+    const severity = {
+      'completed': 'info',
+      'failed': 'error',
+      'blocked': 'warning',
+      'gated': 'warning',
+      'awaiting_approval': 'warning',
+      'rejected': 'error'
     };
     
-    await this.slackWebhook.send({
-      text: `${statusEmoji[result.status]} Task Update`,
-      attachments: [{
-        color: statusColor[result.status],
-        fields: [
-          { title: 'Task ID', value: task.id, short: true },
-          { title: 'Task Name', value: task.name, short: true },
-          { title: 'Owner', value: `@${task.owner}`, short: true },
-          { title: 'Status', value: result.status, short: true },
-          { title: 'Duration', value: `${result.duration}s`, short: true },
-          { title: 'Message', value: result.message, short: false }
-        ]
-      }]
+    await this.sendNotification(`task.${result.status}`, severity[result.status], buildTaskMessage(task, result), {
+      taskId: task.id,
+      owner: task.owner,
+      status: result.status
     });
   }
 
+  async sendGateNotification(gate, evaluation) {
+    await this.sendNotification('gate.evaluated', evaluation.status === 'failed' ? 'error' : 'info', buildGateMessage(gate, evaluation));
+  }
+
   async sendDailyReportToSlack(report, results) {
-    if (!this.slackWebhook) return;
-    
-    const daysRemaining = 18 - report.day;
-    const progressPercent = Math.round((report.day / 18) * 100);
-    
-    await this.slackWebhook.send({
-      text: `📊 HAL Phase 3 Daily Report - Day ${report.day}/18`,
-      attachments: [{
-        color: report.summary.successRate >= 90 ? 'good' : report.summary.successRate >= 70 ? 'warning' : 'danger',
-        fields: [
-          { title: 'Progress', value: `${progressPercent}% (${daysRemaining} days remaining)`, short: true },
-          { title: 'Tasks Today', value: `${report.summary.completed}/${report.summary.total} completed`, short: true },
-          { title: 'Success Rate', value: `${report.summary.successRate}%`, short: true },
-          { title: 'Efficiency', value: `${report.performance.efficiency}%`, short: true },
-          { title: 'Total Time', value: `${report.performance.totalTime} minutes`, short: true },
-          { title: 'Tomorrow', value: `${report.nextDay.scheduledTasks} tasks scheduled`, short: true }
-        ]
-      }]
+    await this.sendNotification('report.daily', 'info', buildDailyReportMessage(report, { totalDays: getPhasePlan().totalDays }), {
+      date: report.date,
+      day: report.day,
+      week: report.week,
+      summary: report.summary
     });
     
-    // Send alerts for failed or blocked tasks
-    if (report.summary.failed > 0 || report.summary.blocked > 0) {
-      const alerts = results.filter(r => r.status === 'failed' || r.status === 'blocked');
-      
-      await this.slackWebhook.send({
-        text: `🚨 Alert: ${alerts.length} tasks need attention`,
-        attachments: alerts.map(alert => ({
-          color: 'danger',
-          fields: [
-            { title: 'Task', value: alert.taskId, short: true },
-            { title: 'Status', value: alert.status, short: true },
-            { title: 'Owner', value: `@${alert.owner}`, short: true },
-            { title: 'Issue', value: alert.message, short: false }
-          ]
-        }))
-      });
+    // Send alerts for failed, blocked or gated tasks, split across messages if needed
+    const alerts = results.filter(r => ['failed', 'blocked', 'gated'].includes(r.status));
+    
+    for (const alertMessage of alerts.length > 0 ? buildAlertMessages(alerts) : []) {
+      await this.sendNotification('report.alerts', report.summary.failed > 0 ? 'error' : 'warning', alertMessage);
     }
   }
 
-  async sendSlackNotification(message) {
-    if (!this.slackWebhook) {
-      console.log('📢 Slack notification (webhook not configured):', message.text);
-      return;
-    }
-    
-    try {
-      await this.slackWebhook.send(message);
-      console.log('📢 Slack notification sent:', message.text);
-    } catch (error) {
-      console.error('❌ Failed to send Slack notification:', error.message);
-    }
+  // Routes a Slack message (Block Kit or attachments) to its destinations (see config/notifications.json)
+  async sendNotification(type, severity, message, context) {
+    return this.notifier.notify({ type, severity, message, context });
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      
+      const timer = setTimeout(resolve, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      }
+    });
   }
 }
 
 // Main execution
-async function main() {
-  // Create reports directory if it doesn't exist
-  if (!fs.existsSync('reports')) {
-    fs.mkdirSync('reports', { recursive: true });
-  }
+function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      plan: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      'log-level': { type: 'string' },
+      force: { type: 'boolean', default: false },
+      'allow-missing-state': { type: 'boolean', default: false },
+      day: { type: 'string' },
+      date: { type: 'string' }
+    }
+  });
   
-  const engine = new HalPhase3AutomationEngine();
+  return values;
+}
+
+async function main() {
+  let args = null;
+  let engine = null;
   
   try {
-    await engine.executeDaily();
-    console.log('\n🎉 Automation completed successfully!');
+    // Invalid flags, --day, --date or --log-level land in the catch below like any run failure
+    args = parseCliArgs();
+    configureLogging({ service: 'automation-engine', level: args['log-level'], quiet: args.plan && args.json });
+    setClock(createClock({ day: args.day, date: args.date }));
+    
+    if (args.plan) {
+      engine = new HalPhase3AutomationEngine({ quiet: args.json, dryRun: true });
+      const plan = await engine.executeDaily({ dryRun: true, force: args.force });
+      
+      console.log(args.json ? JSON.stringify(plan, null, 2) : formatExecutionPlan(plan, getPhasePlan().totalDays));
+      process.exit(0);
+    }
+    
+    // Create reports directory if it doesn't exist
+    if (!fs.existsSync('reports')) {
+      fs.mkdirSync('reports', { recursive: true });
+    }
+    
+    engine = new HalPhase3AutomationEngine();
+    await engine.executeDaily({ force: args.force, allowMissingState: args['allow-missing-state'] });
+    logger.info('\n🎉 Automation completed successfully!');
     process.exit(0);
   } catch (error) {
-    console.error('\n💥 Automation failed:', error);
+    // A dry run only reports its error; it never posts to Slack
+    if (args && args.plan) {
+      logger.error(`❌ ${error.message}`, { error });
+      process.exit(1);
+    }
     
-    // Send error notification to Slack
-    if (engine.slackWebhook) {
-      await engine.sendSlackNotification({
+    logger.error(`\n💥 Automation failed: ${error.message}`, { error });
+    
+    // Send error notification (routed to the alert destinations)
+    await (engine ? engine.notifier : new Notifier()).notify({
+      type: 'run.failed',
+      severity: 'critical',
+      message: {
         text: '💥 HAL Phase 3 Automation Error',
         attachments: [{
           color: 'danger',
@@ -358,8 +845,8 @@ async function main() {
             { title: 'Time', value: moment().format('YYYY-MM-DD HH:mm:ss'), short: true }
           ]
         }]
-      });
-    }
+      }
+    });
     
     process.exit(1);
   }
@@ -0,0 +1,145 @@
+/**
+ * HAL Phase 3 - Working-Day Calendar
+ * Maps calendar dates to phase working days. Weekends and holidays from the
+ * `calendar` section of the phase plan are skipped, so phase day N is the Nth
+ * working date on or after phase.startDate, and "today" is resolved in the
+ * configured timezone rather than the runner's (UTC on GitHub Actions).
+ *
+ * timezone accepts an IANA zone ("Asia/Dubai" is GST) or a fixed offset ("+04:00").
+ */
+
+const moment = require('moment');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_CALENDAR = {
+  timezone: 'Asia/Dubai',
+  weekends: ['Saturday', 'Sunday'],
+  holidays: [],
+  hoursPerDay: 8
+};
+
+// Minutes east of UTC for an IANA zone at the given instant, via the runtime's ICU data
+function getZoneOffset(timezone, instant = new Date()) {
+  if (/^[+-]\d{2}:?\d{2}$/.test(timezone)) {
+    return moment().utcOffset(timezone).utcOffset();
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).reduce((values, part) => ({ ...values, [part.type]: parseInt(part.value, 10) }), {});
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getZoneOffset(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+class WorkingCalendar {
+  constructor({
+    startDate,
+    timezone = DEFAULT_CALENDAR.timezone,
+    weekends = DEFAULT_CALENDAR.weekends,
+    holidays = DEFAULT_CALENDAR.holidays,
+    hoursPerDay = DEFAULT_CALENDAR.hoursPerDay
+  }) {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Unknown calendar timezone "${timezone}": expected an IANA zone such as Asia/Dubai or an offset such as +04:00`);
+    }
+
+    this.timezone = timezone;
+    this.startDate = this.toDate(startDate);
+    this.weekends = weekends;
+    this.weekendDays = new Set(weekends.map(name => DAY_NAMES.indexOf(name.toLowerCase())));
+    this.holidays = new Map(holidays.map(holiday => [holiday.date, holiday.name || 'Holiday']));
+    this.hoursPerDay = hoursPerDay;
+  }
+
+  // Current time in the calendar's timezone
+  now() {
+    return moment().utcOffset(getZoneOffset(this.timezone));
+  }
+
+  today() {
+    return this.toDate(this.now());
+  }
+
+  // Normalizes a moment, Date or YYYY-MM-DD string to a UTC midnight moment of that calendar date
+  toDate(value) {
+    const date = moment.isMoment(value) ? value.format(DATE_FORMAT) : value instanceof Date ? moment(value).format(DATE_FORMAT) : value;
+    return moment.utc(date, DATE_FORMAT, true);
+  }
+
+  getHoliday(value) {
+    return this.holidays.get(this.toDate(value).format(DATE_FORMAT)) || null;
+  }
+
+  isWeekend(value) {
+    return this.weekendDays.has(this.toDate(value).day());
+  }
+
+  isWorkingDate(value) {
+    return !this.isWeekend(value) && this.getHoliday(value) === null;
+  }
+
+  // Why a date is not worked, or null when it is
+  describeNonWorkingDate(value) {
+    const holiday = this.getHoliday(value);
+    if (holiday) return holiday;
+    return this.isWeekend(value) ? `weekend (${this.toDate(value).format('dddd')})` : null;
+  }
+
+  /**
+   * Phase working day of a calendar date: the number of working dates from the
+   * start date up to and including it. Non-working dates keep the previous
+   * working day's number; dates before the first working date are day 0.
+   */
+  getWorkingDay(value) {
+    const date = this.toDate(value);
+    let workingDay = 0;
+
+    for (const cursor = this.startDate.clone(); !cursor.isAfter(date); cursor.add(1, 'day')) {
+      if (this.isWorkingDate(cursor)) workingDay++;
+    }
+
+    return workingDay;
+  }
+
+  // Calendar date of the Nth phase working day
+  getDateForDay(day) {
+    const cursor = this.startDate.clone();
+    let workingDay = this.isWorkingDate(cursor) ? 1 : 0;
+
+    while (workingDay < Math.max(day, 1)) {
+      cursor.add(1, 'day');
+      if (this.isWorkingDate(cursor)) workingDay++;
+    }
+
+    return cursor;
+  }
+
+  describe() {
+    return {
+      timezone: this.timezone,
+      weekends: this.weekends,
+      hoursPerDay: this.hoursPerDay,
+      holidays: [...this.holidays].map(([date, name]) => ({ date, name }))
+    };
+  }
+}
+
+module.exports = { WorkingCalendar, getZoneOffset, isValidTimezone, DEFAULT_CALENDAR, DAY_NAMES };
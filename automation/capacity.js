@@ -0,0 +1,282 @@
+/**
+ * HAL Phase 3 - Owner Capacity
+ * Per-owner daily load from the phase plan: each task's `hours` are spread
+ * evenly over its (revised) days and summed per owner and day. A day is
+ * overallocated when the load exceeds the owner's capacity, the span of their
+ * `workingHours` in config/team-assignments.json (calendar.hoursPerDay when
+ * unset).
+ *
+ * Rebalancing works on a copy of the schedule and only suggests changes:
+ * first shifting one of the owner's tasks to later days within its critical
+ * path slack (see forecast.js), never starting or ending it before a
+ * dependency or after a dependent; otherwise handing it to a teammate whose
+ * `skills` match the task, who is not out of office and who has room on its
+ * days.
+ *
+ * Owners are the plan owners unless reassigned (see reassignment.js).
+ */
+
+const { analyzeSchedule } = require('./forecast');
+const { getOwnerHours } = require('./rescheduler');
+const { findAbsence } = require('./team-config');
+
+const EPSILON = 1e-6;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function getDailyEffort(task) {
+  return task.hours / task.days.length;
+}
+
+function getWords(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * How well a member fits a task: skills shared with the task's owner (the
+ * task was assigned for them) plus skills whose words appear in the task name.
+ */
+function matchSkills(task, member, ownerSkills = []) {
+  const taskWords = new Set(getWords(task.name));
+  const shared = member.skills.filter(skill => ownerSkills.includes(skill));
+  const named = member.skills.filter(skill => !shared.includes(skill) && getWords(skill).some(word => taskWords.has(word)));
+
+  return { score: shared.length + named.length, skills: [...shared, ...named] };
+}
+
+// Hours per owner and day for the given task days and owners
+function calculateLoad(tasks, daysById, ownersById) {
+  const load = {};
+
+  tasks.forEach(task => {
+    const owner = ownersById[task.id];
+    load[owner] = load[owner] || {};
+    daysById[task.id].forEach(day => {
+      load[owner][day] = load[owner][day] || { load: 0, tasks: [] };
+      load[owner][day].load += getDailyEffort(task);
+      load[owner][day].tasks.push(task.id);
+    });
+  });
+
+  return load;
+}
+
+function findOverallocations(load, getCapacity) {
+  const overallocations = [];
+
+  Object.entries(load).forEach(([owner, days]) => {
+    const capacity = getCapacity(owner);
+    Object.entries(days).forEach(([day, entry]) => {
+      if (entry.load > capacity + EPSILON) {
+        overallocations.push({ owner, day: Number(day), load: round(entry.load), capacity, excess: round(entry.load - capacity), tasks: entry.tasks });
+      }
+    });
+  });
+
+  return overallocations.sort((a, b) => a.day - b.day || a.owner.localeCompare(b.owner));
+}
+
+class CapacityPlanner {
+  constructor({ plan, teamConfig = {}, revisedDays = {}, owners = {} }) {
+    this.plan = plan;
+    this.teamConfig = teamConfig;
+    this.team = teamConfig.team || {};
+    this.tasks = plan.getTasks();
+    this.daysById = Object.fromEntries(this.tasks.map(task => [task.id, revisedDays[task.id] || task.days]));
+    this.ownersById = Object.fromEntries(this.tasks.map(task => [task.id, owners[task.id] || task.owner]));
+  }
+
+  getCapacity(owner) {
+    return getOwnerHours(this.teamConfig, owner, this.plan.calendar.hoursPerDay);
+  }
+
+  getMember(owner) {
+    return this.team[owner.toLowerCase()] || null;
+  }
+
+  // Team members plus any plan owner missing from the team configuration
+  getOwners() {
+    const names = Object.values(this.team).map(member => member.name);
+    const extra = this.tasks.map(task => task.owner).filter(owner => !this.getMember(owner));
+    return [...new Set([...names, ...extra])];
+  }
+
+  describeOwner(owner, load) {
+    const capacity = this.getCapacity(owner);
+    const days = Object.entries(load[owner] || {})
+      .map(([day, entry]) => ({ day: Number(day), load: round(entry.load), utilization: Math.round(entry.load / capacity * 100), tasks: entry.tasks, overallocated: entry.load > capacity + EPSILON }))
+      .sort((a, b) => a.day - b.day);
+    const tasks = this.tasks.filter(task => this.ownersById[task.id] === owner);
+    const peak = days.reduce((max, entry) => (entry.load > max.load ? entry : max), { day: null, load: 0 });
+
+    return {
+      owner,
+      capacity,
+      tasks: tasks.map(task => task.id),
+      totalHours: tasks.reduce((sum, task) => sum + task.hours, 0),
+      peakDay: peak.day,
+      peakLoad: peak.load,
+      peakUtilization: Math.round(peak.load / capacity * 100),
+      overallocatedDays: days.filter(entry => entry.overallocated).map(entry => entry.day),
+      days
+    };
+  }
+
+  analyze() {
+    const load = calculateLoad(this.tasks, this.daysById, this.ownersById);
+
+    return {
+      totalDays: this.plan.totalDays,
+      owners: this.getOwners().map(owner => this.describeOwner(owner, load)),
+      overallocations: findOverallocations(load, owner => this.getCapacity(owner))
+    };
+  }
+
+  // Whether a task on `days` neither starts or ends before a dependency, nor after a dependent
+  keepsDependencyOrder(task, days) {
+    const within = (before, after) => Math.min(...before) <= Math.min(...after) && Math.max(...before) <= Math.max(...after);
+    const depsOk = task.deps.every(dep => !this.daysById[dep] || within(this.daysById[dep], days));
+    const dependentsOk = this.tasks
+      .filter(t => t.deps.includes(task.id))
+      .every(t => within(days, this.daysById[t.id]));
+
+    return depsOk && dependentsOk;
+  }
+
+  hasRoom(owner, days, task, load) {
+    const capacity = this.getCapacity(owner);
+    return days.every(day => {
+      const entry = (load[owner] || {})[day];
+      const current = entry ? entry.load - (entry.tasks.includes(task.id) ? getDailyEffort(task) : 0) : 0;
+      return current + getDailyEffort(task) <= capacity + EPSILON;
+    });
+  }
+
+  findShift(task, slackDays, load) {
+    const days = this.daysById[task.id];
+    const owner = this.ownersById[task.id];
+
+    for (let offset = 1; offset <= slackDays && Math.max(...days) + offset <= this.plan.totalDays; offset++) {
+      const candidate = days.map(day => day + offset);
+      if (this.keepsDependencyOrder(task, candidate) && this.hasRoom(owner, candidate, task, load)) {
+        return { type: 'shift', taskId: task.id, owner, from: days, to: candidate, slackDays };
+      }
+    }
+    return null;
+  }
+
+  isAvailable(member, days) {
+    return days.every(day => !findAbsence(this.teamConfig, member.name, this.plan.calendar.getDateForDay(day).format('YYYY-MM-DD')));
+  }
+
+  findReassignment(task, load) {
+    const owner = this.ownersById[task.id];
+    const ownerMember = this.getMember(owner);
+    const days = this.daysById[task.id];
+
+    const candidates = Object.values(this.team)
+      .filter(member => member.name !== owner && this.isAvailable(member, days))
+      .map(member => ({ member, match: matchSkills(task, member, ownerMember ? ownerMember.skills : []) }))
+      .filter(({ member, match }) => match.score > 0 && this.hasRoom(member.name, days, task, load))
+      .map(({ member, match }) => ({
+        member,
+        match,
+        peak: Math.max(...days.map(day => ((load[member.name] || {})[day] || { load: 0 }).load))
+      }))
+      .sort((a, b) => b.match.score - a.match.score || a.peak - b.peak);
+
+    if (candidates.length === 0) return null;
+
+    const [{ member, match }] = candidates;
+    return { type: 'reassign', taskId: task.id, owner, to: member.name, days, matchedSkills: match.skills };
+  }
+
+  /**
+   * Suggestions that bring each overallocated owner-day within capacity,
+   * applied one at a time to the working copy, plus the days still over.
+   */
+  rebalance() {
+    const { nodes, hoursPerDay } = analyzeSchedule(this.plan);
+    const slackDays = Object.fromEntries([...nodes.values()].map(node => [node.task.id, Math.floor(node.slack / hoursPerDay + EPSILON)]));
+    const suggestions = [];
+    const unresolved = [];
+    const skipped = new Set();
+
+    for (;;) {
+      const load = calculateLoad(this.tasks, this.daysById, this.ownersById);
+      const next = findOverallocations(load, owner => this.getCapacity(owner)).find(entry => !skipped.has(`${entry.owner}@${entry.day}`));
+      if (!next) break;
+
+      // Move the largest daily chunk first: it frees the most hours
+      const candidates = next.tasks
+        .map(taskId => this.tasks.find(task => task.id === taskId))
+        .sort((a, b) => getDailyEffort(b) - getDailyEffort(a));
+
+      let suggestion = null;
+      for (const task of candidates) {
+        suggestion = this.findShift(task, slackDays[task.id], load) || this.findReassignment(task, load);
+        if (suggestion) break;
+      }
+
+      if (!suggestion) {
+        skipped.add(`${next.owner}@${next.day}`);
+        unresolved.push(next);
+        continue;
+      }
+
+      if (suggestion.type === 'shift') this.daysById[suggestion.taskId] = suggestion.to;
+      else this.ownersById[suggestion.taskId] = suggestion.to;
+      suggestions.push({ ...suggestion, resolves: { owner: next.owner, day: next.day } });
+    }
+
+    return { suggestions, unresolved };
+  }
+}
+
+function buildCapacityReport({ plan, teamConfig = {}, revisedDays = {}, owners = {}, rebalance = false }) {
+  const report = new CapacityPlanner({ plan, teamConfig, revisedDays, owners }).analyze();
+  return {
+    ...report,
+    rebalance: rebalance ? new CapacityPlanner({ plan, teamConfig, revisedDays, owners }).rebalance() : null
+  };
+}
+
+function formatCapacityReport(report) {
+  const lines = [
+    '👥 Owner Capacity',
+    '=====================================',
+    'Owner    Hours  Capacity  Peak (day)      Overallocated days'
+  ];
+
+  report.owners.forEach(owner => {
+    const peak = owner.peakDay === null ? '-' : `${owner.peakLoad}h (${owner.peakDay}) ${owner.peakUtilization}%`;
+    lines.push(`${owner.owner.padEnd(8)} ${String(owner.totalHours).padStart(5)}  ${`${owner.capacity}h/day`.padStart(8)}  ${peak.padEnd(15)} ${owner.overallocatedDays.join(', ') || '-'}`);
+  });
+
+  lines.push('');
+  if (report.overallocations.length === 0) {
+    lines.push('✅ No owner is overallocated');
+  }
+  report.overallocations.forEach(entry => {
+    lines.push(`⚠️  ${entry.owner} day ${entry.day}: ${entry.load}h of ${entry.capacity}h (+${entry.excess}h) on ${entry.tasks.join(', ')}`);
+  });
+
+  if (report.rebalance) {
+    lines.push('', '🔧 Rebalance suggestions');
+    if (report.rebalance.suggestions.length === 0) lines.push('   none');
+    report.rebalance.suggestions.forEach(s => {
+      lines.push(s.type === 'shift'
+        ? `   ↪️  Shift ${s.taskId} (${s.owner}) from day(s) ${s.from.join(', ')} to ${s.to.join(', ')} (${s.slackDays} day(s) of slack)`
+        : `   🔁 Reassign ${s.taskId} from ${s.owner} to ${s.to} (skills: ${s.matchedSkills.join(', ')})`);
+    });
+    report.rebalance.unresolved.forEach(entry => {
+      lines.push(`   ❌ ${entry.owner} day ${entry.day} stays over by ${entry.excess}h`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { CapacityPlanner, buildCapacityReport, formatCapacityReport, matchSkills, getDailyEffort };
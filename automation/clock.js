@@ -0,0 +1,95 @@
+/**
+ * HAL Phase 3 - Clock
+ * Single source of "now" for the scheduler, engine and dashboard, with
+ * overrides for re-running a missed phase day or backfilling a date
+ *
+ * Overrides, highest precedence first:
+ *   --day <n> / --date <YYYY-MM-DD>  command line flags
+ *   HAL_TARGET_DAY / HAL_TARGET_DATE environment variables (set by workflow_dispatch)
+ *
+ * A target day outside the phase plan is rejected rather than clamped.
+ */
+
+const moment = require('moment');
+const { getPhasePlan } = require('./phase-plan');
+
+class Clock {
+  constructor({ day = null, date = null, source = null } = {}) {
+    this.targetDay = day;
+    this.targetDate = date ? moment(date, 'YYYY-MM-DD', true) : null;
+    this.source = source;
+  }
+
+  now() {
+    if (!this.targetDate) return moment();
+
+    // Keep the wall-clock time so durations and timestamps still make sense
+    const now = moment();
+    return this.targetDate.clone().set({
+      hour: now.hour(),
+      minute: now.minute(),
+      second: now.second(),
+      millisecond: now.millisecond()
+    });
+  }
+
+  isOverridden() {
+    return this.targetDay !== null || this.targetDate !== null;
+  }
+
+  describe() {
+    if (!this.isOverridden()) return null;
+
+    return {
+      source: this.source,
+      day: this.targetDay,
+      date: this.targetDate ? this.targetDate.format('YYYY-MM-DD') : null
+    };
+  }
+}
+
+function parseDay(value, source, totalDays) {
+  const day = Number(value);
+  if (!Number.isInteger(day) || day < 1 || day > totalDays) {
+    throw new Error(`Invalid target day "${value}" from ${source}: expected a phase day between 1 and ${totalDays}`);
+  }
+  return day;
+}
+
+function parseDate(value, source) {
+  if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+    throw new Error(`Invalid target date "${value}" from ${source}: expected YYYY-MM-DD`);
+  }
+  return value;
+}
+
+function createClock({ day, date, env = process.env, totalDays = getPhasePlan().totalDays } = {}) {
+  if (day !== undefined && day !== null && day !== '') {
+    return new Clock({ day: parseDay(day, '--day', totalDays), source: 'cli' });
+  }
+  if (date) {
+    return new Clock({ date: parseDate(date, '--date'), source: 'cli' });
+  }
+  if (env.HAL_TARGET_DAY) {
+    return new Clock({ day: parseDay(env.HAL_TARGET_DAY, 'HAL_TARGET_DAY', totalDays), source: 'env' });
+  }
+  if (env.HAL_TARGET_DATE) {
+    return new Clock({ date: parseDate(env.HAL_TARGET_DATE, 'HAL_TARGET_DATE'), source: 'env' });
+  }
+
+  return new Clock();
+}
+
+let defaultClock = null;
+
+function getClock() {
+  if (!defaultClock) defaultClock = createClock();
+  return defaultClock;
+}
+
+function setClock(clock) {
+  defaultClock = clock;
+  return clock;
+}
+
+module.exports = { Clock, createClock, getClock, setClock };
@@ -0,0 +1,91 @@
+/**
+ * HAL Phase 3 - Dependency Graph Executor
+ * Starts each task as soon as its same-day dependencies have settled,
+ * within a global concurrency limit and a per-owner limit
+ */
+
+class DagExecutor {
+  constructor({ concurrency = 3, perOwnerConcurrency = 1 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.perOwnerConcurrency = Math.max(1, perOwnerConcurrency);
+  }
+
+  /**
+   * Runs runTask(task) for every task and resolves to the results in input order.
+   * onSettled(task, result) is called once per task, also in input order, as soon
+   * as every earlier task has settled, so notifications stay deterministic.
+   */
+  run(tasks, runTask, onSettled = () => {}) {
+    const taskIds = new Set(tasks.map(task => task.id));
+    const results = new Array(tasks.length);
+    const settled = new Set();
+    const pending = tasks.map((task, index) => ({ task, index }));
+    const runningByOwner = new Map();
+    let running = 0;
+    let nextToEmit = 0;
+    let emitChain = Promise.resolve();
+
+    // Dependencies outside today's task set are checked by the caller
+    const isReady = ({ task }) => (task.deps || [])
+      .filter(dep => taskIds.has(dep))
+      .every(dep => settled.has(dep));
+
+    const hasOwnerCapacity = ({ task }) =>
+      (runningByOwner.get(task.owner) || 0) < this.perOwnerConcurrency;
+
+    return new Promise((resolve, reject) => {
+      const emitSettled = () => {
+        while (nextToEmit < tasks.length && results[nextToEmit] !== undefined) {
+          const index = nextToEmit++;
+          emitChain = emitChain.then(() => onSettled(tasks[index], results[index]));
+        }
+
+        if (nextToEmit === tasks.length) {
+          emitChain.then(() => resolve(results), reject);
+        }
+      };
+
+      const start = (entry) => {
+        const { task, index } = entry;
+        pending.splice(pending.indexOf(entry), 1);
+        running++;
+        runningByOwner.set(task.owner, (runningByOwner.get(task.owner) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => runTask(task))
+          .then(result => {
+            running--;
+            runningByOwner.set(task.owner, runningByOwner.get(task.owner) - 1);
+            settled.add(task.id);
+            results[index] = result;
+
+            emitSettled();
+            schedule();
+          })
+          .catch(reject);
+      };
+
+      const schedule = () => {
+        for (const entry of pending.slice()) {
+          if (running >= this.concurrency) return;
+          if (isReady(entry) && hasOwnerCapacity(entry)) start(entry);
+        }
+
+        // A dependency cycle within the day would otherwise stall forever;
+        // release the first waiting task and let the dependency check block it
+        if (running === 0 && pending.length > 0) {
+          start(pending[0]);
+        }
+      };
+
+      if (tasks.length === 0) {
+        resolve(results);
+        return;
+      }
+
+      schedule();
+    });
+  }
+}
+
+module.exports = { DagExecutor };
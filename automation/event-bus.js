@@ -0,0 +1,118 @@
+/**
+ * HAL Phase 3 - Engine Lifecycle Event Bus
+ * Typed lifecycle events emitted by the automation engine, plus the plugin
+ * loader that lets modules in automation/plugins/ subscribe to them
+ *
+ * A plugin module exports:
+ *   name                 - plugin name shown in logs
+ *   register(bus, ctx)   - subscribes to events; ctx is { engine, config, logger }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('event-bus');
+
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, 'plugins');
+
+const EVENT_TYPES = [
+  'run.started',
+  'task.started',
+  'task.completed',
+  'task.failed',
+  'task.blocked',
+  'task.gated',
+  'task.awaiting_approval',
+  'gate.evaluated',
+  'schedule.revised',
+  'task.reassigned',
+  'report.generated',
+  'retrospective.generated'
+];
+
+class EngineEventBus extends EventEmitter {
+  constructor(context = {}) {
+    super();
+    this.context = context;
+    this.pending = new Set();
+  }
+
+  // Fields such as runId, day and week stamped onto every subsequent event
+  setContext(context) {
+    this.context = { ...this.context, ...context };
+  }
+
+  publish(type, payload = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown engine event type "${type}"`);
+    }
+
+    const event = {
+      type,
+      timestamp: new Date().toISOString(),
+      ...this.context,
+      payload
+    };
+
+    this.emit(type, event);
+    this.emit('*', event);
+    return event;
+  }
+
+  /**
+   * Subscribes to one event type, or '*' for all of them. Handler errors and
+   * rejections are logged instead of propagating into the engine.
+   */
+  subscribe(type, handler, owner = 'anonymous') {
+    if (type !== '*' && !EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown engine event type "${type}"`);
+    }
+
+    this.on(type, (event) => {
+      const onError = error => logger.error(`❌ Plugin ${owner} failed handling ${event.type}: ${error.message}`, { plugin: owner, error });
+
+      try {
+        const result = handler(event);
+        if (result && typeof result.then === 'function') {
+          const tracked = result.catch(onError).finally(() => this.pending.delete(tracked));
+          this.pending.add(tracked);
+        }
+      } catch (error) {
+        onError(error);
+      }
+    });
+  }
+
+  // Waits for async subscribers, so the process does not exit mid-delivery
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+}
+
+function loadPlugins(bus, { dir = process.env.HAL_PLUGINS_DIR || DEFAULT_PLUGINS_DIR, engine = null, config = {} } = {}) {
+  if (!fs.existsSync(dir)) return [];
+
+  const disabled = (config.plugins && config.plugins.disabled) || [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => {
+      const plugin = require(path.join(dir, file));
+      const name = plugin.name || path.basename(file, '.js');
+
+      if (disabled.includes(name)) {
+        logger.debug(`🔌 Plugin ${name} disabled by configuration`);
+        return null;
+      }
+
+      plugin.register(bus, { engine, config, logger: logger.child({ plugin: name }) });
+      logger.debug(`🔌 Loaded plugin ${name}`, { plugin: name });
+      return name;
+    })
+    .filter(Boolean);
+}
+
+module.exports = { EngineEventBus, loadPlugins, EVENT_TYPES, DEFAULT_PLUGINS_DIR };
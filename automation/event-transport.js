@@ -0,0 +1,77 @@
+/**
+ * HAL Phase 3 - File Event Transport
+ * Appends engine events as JSON lines and tails them from another process,
+ * so a separately running dashboard sees what the engine is doing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('event-transport');
+
+const DEFAULT_EVENTS_PATH = path.join(__dirname, '..', 'state', 'events.jsonl');
+
+class FileEventWriter {
+  constructor(filePath = process.env.HAL_EVENTS_PATH || DEFAULT_EVENTS_PATH) {
+    this.filePath = filePath;
+  }
+
+  write(event) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(event)}\n`);
+  }
+}
+
+class FileEventTail {
+  constructor(filePath = process.env.HAL_EVENTS_PATH || DEFAULT_EVENTS_PATH, { intervalMs = 1000, fromStart = false } = {}) {
+    this.filePath = filePath;
+    this.intervalMs = intervalMs;
+    this.offset = !fromStart && fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    this.buffer = '';
+    this.timer = null;
+  }
+
+  start(onEvent) {
+    this.timer = setInterval(() => this.poll(onEvent), this.intervalMs);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  poll(onEvent) {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const size = fs.statSync(this.filePath).size;
+
+    // The file was truncated or replaced; start over from the beginning
+    if (size < this.offset) {
+      this.offset = 0;
+      this.buffer = '';
+    }
+    if (size === this.offset) return;
+
+    const fd = fs.openSync(this.filePath, 'r');
+    const chunk = Buffer.alloc(size - this.offset);
+    fs.readSync(fd, chunk, 0, chunk.length, this.offset);
+    fs.closeSync(fd);
+    this.offset = size;
+
+    // Keep a trailing partial line until the writer finishes it
+    const lines = (this.buffer + chunk.toString('utf8')).split('\n');
+    this.buffer = lines.pop();
+
+    lines.filter(line => line.trim()).forEach(line => {
+      try {
+        onEvent(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`⚠️ Skipping unreadable engine event: ${error.message}`, { line });
+      }
+    });
+  }
+}
+
+module.exports = { FileEventWriter, FileEventTail, DEFAULT_EVENTS_PATH };
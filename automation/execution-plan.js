@@ -0,0 +1,133 @@
+/**
+ * HAL Phase 3 - Execution Plan
+ * Resolves what a daily run would execute, in which order and why tasks would
+ * be blocked, without running handlers, writing reports or notifying Slack
+ */
+
+const { RetryPolicy } = require('./retry-policy');
+const { getTaskType } = require('./handler-registry');
+
+function buildExecutionPlan({ day, week, tasks, ledger, handlers, completedTaskIds = [], approvedTaskIds = [], gatedTasks = {}, execution = {}, options = {} }) {
+  const taskIds = new Set(tasks.map(task => task.id));
+  const waves = new Map();
+  const blockedBy = new Map();
+
+  // Walk tasks in dependency order so same-day deps are resolved before dependents
+  const resolveTask = (task, visiting = new Set()) => {
+    if (waves.has(task.id)) return;
+    visiting.add(task.id);
+
+    const missing = [];
+    let wave = 1;
+
+    (task.deps || []).forEach(dep => {
+      if (taskIds.has(dep) && !visiting.has(dep)) {
+        const depTask = tasks.find(t => t.id === dep);
+        resolveTask(depTask, visiting);
+        wave = Math.max(wave, waves.get(dep) + 1);
+
+        // A same-day dependency only helps if it would not be blocked itself
+        if ((blockedBy.get(dep).length > 0 || gatedTasks[dep]) && !completedTaskIds.includes(dep) && !approvedTaskIds.includes(dep)) missing.push(dep);
+      } else if (!ledger.isCompleted(dep)) {
+        missing.push(dep);
+      }
+    });
+
+    waves.set(task.id, wave);
+    blockedBy.set(task.id, missing);
+    visiting.delete(task.id);
+  };
+
+  tasks.forEach(task => resolveTask(task));
+
+  const planned = tasks
+    .map(task => {
+      const handler = handlers.resolve(task);
+      const policy = RetryPolicy.forTask(execution, task, getTaskType(task));
+      const missing = blockedBy.get(task.id);
+      const alreadyCompleted = completedTaskIds.includes(task.id);
+
+      let action = missing.length > 0 ? 'blocked' : 'run';
+      let reason = missing.length > 0 ? `Dependencies not completed: ${missing.join(', ')}` : null;
+      if (gatedTasks[task.id]) {
+        action = 'gated';
+        reason = `Held by failed quality gate ${gatedTasks[task.id]}`;
+      }
+      if (alreadyCompleted) {
+        action = 'skip';
+        reason = 'Already completed by an earlier attempt today (use --force to re-run)';
+      }
+      if (approvedTaskIds.includes(task.id)) {
+        action = 'skip';
+        reason = 'Already completed and approved';
+      }
+
+      return {
+        taskId: task.id,
+        name: task.name,
+        owner: task.owner,
+        hours: task.hours,
+        wave: waves.get(task.id),
+        deps: task.deps || [],
+        action,
+        reason,
+        missingDependencies: missing,
+        mode: handler ? 'real' : 'simulated',
+        handler: handler ? handler.name : null,
+        retry: { maxAttempts: policy.maxAttempts, timeoutMs: policy.timeoutMs }
+      };
+    })
+    // Array sort is stable, so tasks keep their schedule order within a wave
+    .sort((a, b) => a.wave - b.wave)
+    .map((entry, order) => ({ order: order + 1, ...entry }));
+
+  return {
+    dryRun: true,
+    day,
+    week,
+    concurrency: options,
+    summary: {
+      total: planned.length,
+      run: planned.filter(entry => entry.action === 'run').length,
+      skip: planned.filter(entry => entry.action === 'skip').length,
+      gated: planned.filter(entry => entry.action === 'gated').length,
+      blocked: planned.filter(entry => entry.action === 'blocked').length
+    },
+    tasks: planned
+  };
+}
+
+function formatExecutionPlan(plan, totalDays) {
+  const lines = [
+    '📋 HAL Phase 3 Execution Plan (dry run)',
+    '=====================================',
+    `📅 Phase Day: ${plan.day}/${totalDays}`,
+    `📋 Week: ${plan.week}`,
+    `📝 Tasks Scheduled: ${plan.summary.total} (${plan.summary.run} to run, ${plan.summary.skip} to skip, ${plan.summary.blocked} blocked, ${plan.summary.gated} gated)`,
+    `🔀 Concurrency: ${plan.concurrency.concurrency} (max ${plan.concurrency.perOwnerConcurrency} per owner)`
+  ];
+
+  let currentWave = null;
+  plan.tasks.forEach(entry => {
+    if (entry.wave !== currentWave) {
+      currentWave = entry.wave;
+      lines.push('', `Wave ${currentWave}:`);
+    }
+
+    const icon = { run: '▶️ ', skip: '⏭️ ', blocked: '⏸️ ', gated: '🚧' }[entry.action];
+    const handler = entry.handler ? `handler ${entry.handler}` : 'simulated';
+    lines.push(`  ${entry.order}. ${icon} ${entry.taskId} ${entry.name} (@${entry.owner}, ${entry.hours}h, ${handler}, up to ${entry.retry.maxAttempts} attempts)`);
+
+    if (entry.reason) {
+      lines.push(`       ${entry.reason}`);
+    }
+  });
+
+  if (plan.tasks.length === 0) {
+    lines.push('', 'No tasks scheduled for this day.');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { buildExecutionPlan, formatExecutionPlan };
@@ -0,0 +1,250 @@
+/**
+ * HAL Phase 3 - Critical Path & Forecast
+ * Critical path analysis over the phase plan: each task takes `hours` of
+ * work, cannot start before its first scheduled day or before its deps
+ * finish, and the phase ends with the plan's last working day. A working day
+ * holds calendar.hoursPerDay hours, so day N spans hours [(N-1)·h, N·h].
+ *
+ * The forecast replays the same analysis with actual results: completed tasks
+ * are fixed on the day the task ledger recorded them completed (the daily
+ * reports when no ledger is given), open work cannot start before the last
+ * reported day, and remaining durations are
+ * scaled by the pace so far (completed hours / hours due, clamped to
+ * PACE_LIMITS). Open tasks with less than one day of slack are at risk: a
+ * longer delay pushes the completion date past the target.
+ *
+ * Status: late when the forecast completion is after the target day,
+ * at_risk when the team is behind pace and at-risk tasks remain, else on_track.
+ */
+
+const { listReportFiles, readReport } = require('./report-schema');
+
+const PACE_LIMITS = { min: 0.5, max: 2 };
+const AT_RISK_SLACK_DAYS = 1;
+const EPSILON = 1e-6;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Kahn's algorithm; deps outside the plan are ignored here and reported by the plan linter
+function topologicalOrder(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const remaining = new Map(tasks.map(task => [task.id, task.deps.filter(dep => byId.has(dep)).length]));
+  const ready = tasks.filter(task => remaining.get(task.id) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    const task = ready.shift();
+    order.push(task);
+    tasks.filter(t => t.deps.includes(task.id)).forEach(dependent => {
+      remaining.set(dependent.id, remaining.get(dependent.id) - 1);
+      if (remaining.get(dependent.id) === 0) ready.push(dependent);
+    });
+  }
+
+  if (order.length !== tasks.length) {
+    throw new Error('The phase plan has a dependency cycle; run npm run lint-plan for details');
+  }
+  return order;
+}
+
+/**
+ * Forward and backward pass in hours. completedOn maps task ids to the day
+ * they completed; asOfDay is the last day with known results.
+ */
+function analyzeSchedule(plan, { completedOn = {}, asOfDay = 0, pace = 1 } = {}) {
+  const hoursPerDay = plan.calendar.hoursPerDay;
+  const targetHours = plan.totalDays * hoursPerDay;
+  const order = topologicalOrder(plan.getTasks());
+  const nodes = new Map();
+
+  order.forEach(task => {
+    const completedDay = completedOn[task.id];
+    const depFinish = Math.max(0, ...task.deps.filter(dep => nodes.has(dep)).map(dep => nodes.get(dep).earliestFinish));
+
+    if (completedDay !== undefined) {
+      const finish = completedDay * hoursPerDay;
+      nodes.set(task.id, { task, completedDay, duration: 0, earliestStart: finish, earliestFinish: finish });
+      return;
+    }
+
+    const duration = task.hours / pace;
+    const earliestStart = Math.max((Math.min(...task.days) - 1) * hoursPerDay, asOfDay * hoursPerDay, depFinish);
+    nodes.set(task.id, { task, completedDay: null, duration, earliestStart, earliestFinish: earliestStart + duration });
+  });
+
+  [...order].reverse().forEach(task => {
+    const node = nodes.get(task.id);
+    const dependents = order.filter(t => t.deps.includes(task.id));
+    node.latestFinish = Math.min(targetHours, ...dependents.map(t => nodes.get(t.id).latestStart));
+    node.latestStart = node.latestFinish - node.duration;
+    node.slack = node.latestStart - node.earliestStart;
+  });
+
+  const finishHours = Math.max(0, ...[...nodes.values()].map(node => node.earliestFinish));
+  return { nodes, finishHours, hoursPerDay, targetHours };
+}
+
+// Chain of driving deps back from the task that finishes last
+function traceCriticalPath(nodes) {
+  const open = [...nodes.values()].filter(node => node.completedDay === null);
+  if (open.length === 0) return [];
+
+  let node = open.reduce((latest, n) => (n.earliestFinish > latest.earliestFinish + EPSILON ? n : latest));
+  const path = [node];
+
+  for (;;) {
+    const driving = node.task.deps
+      .map(dep => nodes.get(dep))
+      .filter(dep => dep && dep.completedDay === null && Math.abs(dep.earliestFinish - node.earliestStart) < EPSILON);
+    if (driving.length === 0) break;
+
+    node = driving[0];
+    path.unshift(node);
+  }
+
+  return path.map(n => n.task.id);
+}
+
+// First day each task was reported completed
+function collectReportedCompletions(reports) {
+  const completedOn = {};
+
+  reports.forEach(report => {
+    (report.results || []).forEach(result => {
+      if (result.status === 'completed' && completedOn[result.taskId] === undefined) {
+        completedOn[result.taskId] = report.day;
+      }
+    });
+  });
+
+  return completedOn;
+}
+
+// Completion day per task and the last reported day. The ledger is the source of
+// truth for completion: an approval is recorded there, not in the report of the day the task ran
+function collectActuals(reports, ledger = null) {
+  const ordered = [...reports].sort((a, b) => a.day - b.day);
+  const completedOn = ledger ? ledger.getCompletionDays() : collectReportedCompletions(ordered);
+
+  return { completedOn, asOfDay: ordered.length > 0 ? ordered[ordered.length - 1].day : 0 };
+}
+
+// Completed hours against the hours of tasks whose scheduled days have all passed
+function calculatePace(plan, completedOn, asOfDay) {
+  const tasks = plan.getTasks();
+  const dueHours = tasks.filter(task => Math.max(...task.days) <= asOfDay).reduce((sum, task) => sum + task.hours, 0);
+  const completedHours = tasks.filter(task => completedOn[task.id] !== undefined).reduce((sum, task) => sum + task.hours, 0);
+  const ratio = dueHours > 0 ? completedHours / dueHours : 1;
+
+  return {
+    dueHours,
+    completedHours,
+    ratio: round(ratio),
+    applied: round(Math.min(Math.max(ratio, PACE_LIMITS.min), PACE_LIMITS.max))
+  };
+}
+
+function buildForecast({ plan, reports = [], ledger = null }) {
+  const { completedOn, asOfDay } = collectActuals(reports, ledger);
+  const pace = calculatePace(plan, completedOn, asOfDay);
+
+  const planned = analyzeSchedule(plan);
+  const actual = analyzeSchedule(plan, { completedOn, asOfDay, pace: pace.applied });
+  const { hoursPerDay } = actual;
+
+  const completionDay = Math.max(asOfDay, Math.ceil(actual.finishHours / hoursPerDay - EPSILON), 1);
+  const tasks = plan.getTasks().map(({ id }) => {
+    const node = actual.nodes.get(id);
+    const plannedNode = planned.nodes.get(node.task.id);
+    const open = node.completedDay === null;
+
+    return {
+      taskId: node.task.id,
+      name: node.task.name,
+      owner: node.task.owner,
+      hours: node.task.hours,
+      days: node.task.days,
+      status: open ? 'open' : 'completed',
+      completedDay: node.completedDay,
+      earliestStartDay: round(node.earliestStart / hoursPerDay),
+      earliestFinishDay: round(node.earliestFinish / hoursPerDay),
+      latestFinishDay: round(node.latestFinish / hoursPerDay),
+      plannedSlackDays: round(plannedNode.slack / hoursPerDay),
+      slackDays: open ? round(node.slack / hoursPerDay) : null,
+      atRisk: open && node.slack < AT_RISK_SLACK_DAYS * hoursPerDay - EPSILON
+    };
+  });
+
+  const atRisk = tasks.filter(task => task.atRisk);
+  const slipDays = Math.max(0, completionDay - plan.totalDays);
+
+  return {
+    asOfDay,
+    asOfDate: asOfDay > 0 ? plan.calendar.getDateForDay(asOfDay).format('YYYY-MM-DD') : null,
+    targetDay: plan.totalDays,
+    targetDate: plan.getTargetDate().format('YYYY-MM-DD'),
+    hoursPerDay,
+    pace,
+    plannedCriticalPath: traceCriticalPath(planned.nodes),
+    criticalPath: traceCriticalPath(actual.nodes),
+    completionDay,
+    completionDate: plan.calendar.getDateForDay(completionDay).format('YYYY-MM-DD'),
+    slipDays,
+    status: slipDays > 0 ? 'late' : pace.ratio < 1 && atRisk.length > 0 ? 'at_risk' : 'on_track',
+    atRisk: atRisk.map(task => ({ taskId: task.taskId, name: task.name, owner: task.owner, slackDays: task.slackDays })),
+    tasks
+  };
+}
+
+// Compact form stored in the daily report and shown in Slack
+function summarizeForecast(forecast) {
+  return {
+    status: forecast.status,
+    completionDay: forecast.completionDay,
+    completionDate: forecast.completionDate,
+    slipDays: forecast.slipDays,
+    pace: forecast.pace.ratio,
+    criticalPath: forecast.criticalPath,
+    atRisk: forecast.atRisk.map(task => task.taskId)
+  };
+}
+
+function formatForecast(forecast) {
+  const icon = { on_track: '🟢', at_risk: '🟡', late: '🔴' }[forecast.status];
+  const lines = [
+    '📈 Phase Completion Forecast',
+    '=====================================',
+    `${icon} ${forecast.status}: completes day ${forecast.completionDay} (${forecast.completionDate}), target day ${forecast.targetDay} (${forecast.targetDate})${forecast.slipDays > 0 ? `, ${forecast.slipDays} day(s) late` : ''}`,
+    `📅 Actuals through day ${forecast.asOfDay || '-'}; pace ${forecast.pace.completedHours}/${forecast.pace.dueHours}h due (x${forecast.pace.applied} applied)`,
+    `🧭 Critical path: ${forecast.criticalPath.join(' → ') || 'none (all tasks completed)'}`,
+    '',
+    'Task     Slack   Finish  Status'
+  ];
+
+  forecast.tasks.filter(task => task.status === 'open').forEach(task => {
+    lines.push(`${task.taskId.padEnd(8)} ${String(task.slackDays).padStart(5)}d  ${String(task.earliestFinishDay).padStart(6)}  ${task.atRisk ? '⚠️  at risk' : 'ok'}`);
+  });
+
+  return lines.join('\n');
+}
+
+// Valid daily reports in a directory, migrated to the current schema
+function loadDailyReports(reportsDir) {
+  return listReportFiles(reportsDir)
+    .map(filePath => readReport(filePath))
+    .filter(entry => entry.valid)
+    .map(entry => entry.report);
+}
+
+module.exports = {
+  analyzeSchedule,
+  traceCriticalPath,
+  buildForecast,
+  summarizeForecast,
+  formatForecast,
+  loadDailyReports,
+  AT_RISK_SLACK_DAYS,
+  PACE_LIMITS
+};
@@ -0,0 +1,82 @@
+/**
+ * HAL Phase 3 - Task Handler Registry
+ * Maps task ids and task types to handler modules in automation/handlers/
+ *
+ * A handler module exports:
+ *   name     - handler name shown in logs and reports
+ *   taskIds  - task ids it handles (optional)
+ *   types    - task types it handles, see TASK_TYPES (optional)
+ *   run(task, context) - resolves to { message, artifacts: [{ name, path }], output,
+ *                        metrics: [{ metric, value, unit }] }; metrics are recorded
+ *                        as target measurements (see measurements.js)
+ *
+ * context is { week, day, dependencyOutputs } where dependencyOutputs maps each
+ * dependency id to the artifacts and output recorded when it completed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HANDLERS_DIR = path.join(__dirname, 'handlers');
+
+// Task types are inferred from the task name, first match wins
+const TASK_TYPES = ['Schema', 'Vector', 'Memory', 'Safety', 'Testing', 'Integration', 'Dashboard'];
+
+function getTaskType(task) {
+  return TASK_TYPES.find(type => task.name.includes(type)) || 'Schema';
+}
+
+class HandlerRegistry {
+  constructor() {
+    this.byTaskId = new Map();
+    this.byType = new Map();
+  }
+
+  register(handler) {
+    if (!handler || typeof handler.run !== 'function') {
+      throw new Error(`Handler ${handler && handler.name} must export a run(task, context) function`);
+    }
+
+    (handler.taskIds || []).forEach(taskId => this.byTaskId.set(taskId, handler));
+    (handler.types || []).forEach(type => this.byType.set(type, handler));
+
+    return this;
+  }
+
+  loadDirectory(dir = DEFAULT_HANDLERS_DIR) {
+    if (!fs.existsSync(dir)) return this;
+
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => {
+        const handler = require(path.join(dir, file));
+        this.register({ name: path.basename(file, '.js'), ...handler });
+      });
+
+    return this;
+  }
+
+  // Task id registrations take precedence over type registrations
+  resolve(task) {
+    return this.byTaskId.get(task.id) || this.byType.get(getTaskType(task)) || null;
+  }
+
+  describe(tasks) {
+    const real = [];
+    const simulated = [];
+
+    tasks.forEach(task => {
+      const handler = this.resolve(task);
+      if (handler) {
+        real.push({ taskId: task.id, handler: handler.name });
+      } else {
+        simulated.push({ taskId: task.id });
+      }
+    });
+
+    return { real, simulated };
+  }
+}
+
+module.exports = { HandlerRegistry, getTaskType, TASK_TYPES, DEFAULT_HANDLERS_DIR };
@@ -0,0 +1,63 @@
+/**
+ * HAL Phase 3 - Schema Design Handler
+ * Drafts the JSON Schema artifact for the schema design tasks
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'artifacts');
+
+// Base fields per schema task, refined by the owner after the draft lands
+const SCHEMA_FIELDS = {
+  '1.1': {
+    title: 'HAL Memory Record',
+    properties: {
+      id: { type: 'string' },
+      scope: { type: 'string', enum: ['session', 'user', 'global'] },
+      content: { type: 'string' },
+      embedding: { type: 'array', items: { type: 'number' } },
+      createdAt: { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'scope', 'content', 'createdAt']
+  },
+  '8.1': {
+    title: 'HAL Performance Metric',
+    properties: {
+      metric: { type: 'string' },
+      value: { type: 'number' },
+      unit: { type: 'string' },
+      taskId: { type: 'string' },
+      recordedAt: { type: 'string', format: 'date-time' }
+    },
+    required: ['metric', 'value', 'recordedAt']
+  }
+};
+
+async function run(task, context) {
+  const fields = SCHEMA_FIELDS[task.id];
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: fields.title,
+    description: `Draft produced for task ${task.id} (${task.name}) on phase day ${context.day}`,
+    type: 'object',
+    properties: fields.properties,
+    required: fields.required
+  };
+
+  const taskDir = path.join(ARTIFACTS_DIR, task.id);
+  const schemaPath = path.join(taskDir, 'schema.json');
+  fs.mkdirSync(taskDir, { recursive: true });
+  fs.writeFileSync(schemaPath, JSON.stringify(schema, null, 2));
+
+  return {
+    message: `Drafted ${fields.title} schema`,
+    artifacts: [{ name: 'schema.json', path: path.relative(process.cwd(), schemaPath) }],
+    output: { title: fields.title, required: fields.required }
+  };
+}
+
+module.exports = {
+  taskIds: Object.keys(SCHEMA_FIELDS),
+  run
+};
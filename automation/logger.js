@@ -0,0 +1,173 @@
+/**
+ * HAL Phase 3 - Structured Logger
+ * Leveled JSON lines with run, task, day and week correlation fields, written
+ * to size-rotated files in logs/ and mirrored to a pretty console for local use
+ *
+ * Each process logs to logs/<service>.log, where the entry point names the
+ * service through configureLogging({ service }). Settings come from
+ * configureLogging() or the environment:
+ *   HAL_LOG_LEVEL   debug | info | warn | error (default info, --log-level on the CLIs)
+ *   HAL_LOG_FORMAT  pretty | json console output (default pretty)
+ *   HAL_LOG_DIR     directory for log files (default logs/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+  service: 'hal-phase3',
+  level: process.env.HAL_LOG_LEVEL || 'info',
+  format: process.env.HAL_LOG_FORMAT || 'pretty',
+  dir: process.env.HAL_LOG_DIR || path.join(__dirname, '..', 'logs'),
+  maxBytes: 5 * 1024 * 1024,
+  maxFiles: 5,
+  quiet: false,
+  context: {}
+};
+
+const sinks = new Map();
+
+class RotatingFileSink {
+  constructor(filePath, { maxBytes, maxFiles }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = null;
+  }
+
+  write(line) {
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+      }
+
+      if (this.size + Buffer.byteLength(line) > this.maxBytes && this.size > 0) {
+        this.rotate();
+      }
+
+      fs.appendFileSync(this.filePath, line);
+      this.size += Buffer.byteLength(line);
+    } catch (error) {
+      // Logging must never take the automation down with it
+      process.stderr.write(`Failed to write log ${this.filePath}: ${error.message}\n`);
+    }
+  }
+
+  // name.log -> name.1.log -> ... -> name.<maxFiles>.log, oldest dropped
+  rotate() {
+    const ext = path.extname(this.filePath);
+    const base = this.filePath.slice(0, -ext.length);
+    const rotated = index => `${base}.${index}${ext}`;
+
+    if (fs.existsSync(rotated(this.maxFiles))) fs.unlinkSync(rotated(this.maxFiles));
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotated(index))) fs.renameSync(rotated(index), rotated(index + 1));
+    }
+    fs.renameSync(this.filePath, rotated(1));
+    this.size = 0;
+  }
+}
+
+function getSink() {
+  const filePath = path.join(settings.dir, `${settings.service}.log`);
+  if (!sinks.has(filePath)) {
+    sinks.set(filePath, new RotatingFileSink(filePath, settings));
+  }
+  return sinks.get(filePath);
+}
+
+function serializeFields(fields) {
+  const serialized = {};
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+    serialized[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  });
+
+  return serialized;
+}
+
+class Logger {
+  constructor(component, context = {}) {
+    this.component = component;
+    this.context = context;
+  }
+
+  child(context) {
+    return new Logger(this.component, { ...this.context, ...context });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= (LEVELS[settings.level] || LEVELS.info);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: this.component,
+      message: message.trim(),
+      ...serializeFields({ ...settings.context, ...this.context, ...fields })
+    };
+
+    getSink().write(`${JSON.stringify(entry)}\n`);
+
+    if (settings.quiet) return;
+
+    const output = settings.format === 'json' ? JSON.stringify(entry) : message;
+    if (level === 'error') {
+      console.error(output);
+    } else if (level === 'warn') {
+      console.warn(output);
+    } else {
+      console.log(output);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+function createLogger(component, context) {
+  return new Logger(component, context);
+}
+
+/**
+ * Overrides logging settings for the current process. `context` fields such
+ * as the run id are merged into every entry from every logger.
+ */
+function configureLogging({ service, level, format, dir, quiet, context } = {}) {
+  if (level !== undefined) {
+    if (!LEVELS[level]) {
+      throw new Error(`Invalid log level "${level}": expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    settings.level = level;
+  }
+  if (service !== undefined) settings.service = service;
+  if (format !== undefined) settings.format = format;
+  if (quiet !== undefined) settings.quiet = quiet;
+  if (context !== undefined) settings.context = { ...settings.context, ...context };
+  if (dir !== undefined) settings.dir = dir;
+
+  return settings;
+}
+
+module.exports = { createLogger, configureLogging, Logger, LEVELS };
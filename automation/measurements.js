@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Target Measurements
+ * Measurements behind the phase's success metrics, appended as JSON lines to
+ * state/measurements.jsonl (HAL_MEASUREMENTS_PATH) in the shape of the task
+ * 8.1 performance metric schema: { metric, value, unit, taskId, recordedAt }.
+ *
+ * Task handlers report them as `metrics` in their result and the engine
+ * records them; benchmarks run outside the engine use the CLI. The dashboard
+ * compares the latest value of each target metric with its target, and
+ * reports no_data for metrics nothing has measured yet.
+ *
+ * Usage:
+ *   node automation/measurements.js record <metric> <value> [--task <id>] [--unit <unit>]
+ *   node automation/measurements.js summary [--json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { parseArgs } = require('util');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('measurements');
+
+const DEFAULT_MEASUREMENTS_PATH = path.join(__dirname, '..', 'state', 'measurements.jsonl');
+
+// Dashboard targets (README "Success Metrics"): `max` for latencies, `min` for rates
+const METRIC_TARGETS = {
+  memoryRetrieval: { metric: 'memory_retrieval_latency', unit: 'ms', max: 500 },
+  guardrailLatency: { metric: 'guardrail_latency', unit: 'ms', max: 200 },
+  contextRetention: { metric: 'context_retention', unit: '%', min: 95 },
+  violationDetection: { metric: 'violation_detection', unit: '%', min: 99 }
+};
+
+function findTarget(metric) {
+  return Object.values(METRIC_TARGETS).find(target => target.metric === metric) || null;
+}
+
+class MeasurementStore {
+  constructor(filePath = process.env.HAL_MEASUREMENTS_PATH || DEFAULT_MEASUREMENTS_PATH) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Appends { metric, value, unit } entries for a task. Entries without a
+   * metric name or a finite value are skipped with a warning, so a handler's
+   * bad measurement never fails its task.
+   */
+  record(entries, { taskId = null, day = null } = {}) {
+    const recordedAt = moment().toISOString();
+    const valid = entries.filter(entry => {
+      const ok = entry && typeof entry.metric === 'string' && entry.metric !== '' && Number.isFinite(entry.value);
+      if (!ok) logger.warn(`⚠️  Ignoring measurement ${JSON.stringify(entry)}${taskId ? ` from task ${taskId}` : ''}: expected { metric, value } with a numeric value`, { taskId });
+      return ok;
+    });
+    if (valid.length === 0) return [];
+
+    const records = valid.map(entry => ({
+      metric: entry.metric,
+      value: entry.value,
+      unit: entry.unit || (findTarget(entry.metric) || {}).unit || null,
+      taskId,
+      day,
+      recordedAt
+    }));
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    records.forEach(record => {
+      logger.info(`📏 ${record.metric} = ${record.value}${record.unit ? ` ${record.unit}` : ''}${taskId ? ` (task ${taskId})` : ''}`, { metric: record.metric, value: record.value, taskId });
+    });
+
+    return records;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    return fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        logger.warn(`⚠️  Skipping unreadable measurement line in ${this.filePath}: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Latest value of every target metric against its target. `current` is null
+   * and `status` no_data when the metric has not been measured.
+   */
+  summarize(targets = METRIC_TARGETS) {
+    const records = this.load();
+
+    return Object.fromEntries(Object.entries(targets).map(([key, target]) => {
+      const samples = records.filter(record => record.metric === target.metric);
+      const latest = samples.length > 0 ? samples[samples.length - 1] : null;
+      const met = latest && (target.max !== undefined ? latest.value <= target.max : latest.value >= target.min);
+
+      return [key, {
+        metric: target.metric,
+        unit: target.unit,
+        target: target.max !== undefined ? target.max : target.min,
+        comparison: target.max !== undefined ? 'max' : 'min',
+        current: latest ? latest.value : null,
+        samples: samples.length,
+        recordedAt: latest ? latest.recordedAt : null,
+        taskId: latest ? latest.taskId : null,
+        status: !latest ? 'no_data' : met ? 'met' : 'missed'
+      }];
+    }));
+  }
+}
+
+function formatSummary(summary) {
+  const icon = { met: '✅', missed: '❌', no_data: '⚪' };
+  return Object.values(summary).map(entry => {
+    const target = `${entry.comparison === 'max' ? '<=' : '>='} ${entry.target}${entry.unit}`;
+    const current = entry.current === null ? 'no data' : `${entry.current}${entry.unit} (${entry.samples} sample(s), latest ${entry.recordedAt})`;
+    return `${icon[entry.status]} ${entry.metric.padEnd(26)} target ${target.padEnd(9)} current ${current}`;
+  }).join('\n');
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      task: { type: 'string' },
+      unit: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'measurements', level: values['log-level'], quiet: values.json });
+
+  const store = new MeasurementStore();
+  const [command = 'summary', metric, value] = positionals;
+
+  if (command === 'summary') {
+    const summary = store.summarize();
+    console.log(values.json ? JSON.stringify(summary, null, 2) : formatSummary(summary));
+    return;
+  }
+
+  if (command === 'record') {
+    if (!metric || value === undefined || !Number.isFinite(Number(value))) {
+      throw new Error('Usage: record <metric> <value> [--task <id>] [--unit <unit>]');
+    }
+    store.record([{ metric, value: Number(value), unit: values.unit }], { taskId: values.task || null });
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}": expected record or summary`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  MeasurementStore,
+  METRIC_TARGETS,
+  formatSummary,
+  DEFAULT_MEASUREMENTS_PATH
+};
@@ -0,0 +1,330 @@
+/**
+ * HAL Phase 3 - Notification Transports
+ * Delivery mechanisms behind the notifier: Slack incoming webhooks, generic
+ * HTTP webhooks, Zapier catch hooks, SMTP email and a JSON-lines file sink
+ *
+ * Every transport exposes isConfigured() and send(notification), where a
+ * notification is { type, severity, channel, message, context, timestamp }
+ * and message is a Slack-style { text, attachments, blocks } payload.
+ * URLs and SMTP settings come from environment variables so secrets never
+ * live in config/notifications.json.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { IncomingWebhook } = require('@slack/webhook');
+
+// First environment variable in the list that is set
+function fromEnv(names = []) {
+  const name = [].concat(names).find(n => process.env[n]);
+  return name ? process.env[name] : null;
+}
+
+// Flattens a Slack message (Block Kit or attachments) into plain text for non-Slack destinations
+function toPlainText(message = {}) {
+  const lines = [message.text || ''];
+
+  (message.blocks || []).forEach(block => {
+    if (block.type === 'header') return;
+    if (block.text) lines.push(block.text.text);
+    (block.fields || []).forEach(field => lines.push(field.text.replace('\n', ': ')));
+    (block.elements || []).forEach(element => element.text && lines.push(element.text));
+  });
+
+  (message.attachments || []).forEach(attachment => {
+    (attachment.fields || []).forEach(field => lines.push(`${field.title}: ${field.value}`));
+  });
+
+  return lines.filter(Boolean).join('\n');
+}
+
+class SlackTransport {
+  constructor({ channel, webhookUrl, webhookUrlEnv = ['SLACK_WEBHOOK_URL'] } = {}) {
+    this.channel = channel;
+    this.webhookUrl = webhookUrl || fromEnv(webhookUrlEnv);
+  }
+
+  isConfigured() {
+    return Boolean(this.webhookUrl);
+  }
+
+  async send(notification) {
+    const webhook = new IncomingWebhook(this.webhookUrl, this.channel ? { channel: this.channel } : {});
+    await webhook.send(notification.message);
+  }
+}
+
+class WebhookTransport {
+  constructor({ url, urlEnv = [], headers = {}, timeoutMs = 10000 } = {}) {
+    this.url = url || fromEnv(urlEnv);
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  formatPayload(notification) {
+    return {
+      type: notification.type,
+      severity: notification.severity,
+      timestamp: notification.timestamp,
+      channel: notification.channel,
+      text: toPlainText(notification.message),
+      message: notification.message,
+      context: notification.context
+    };
+  }
+
+  async send(notification) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(this.formatPayload(notification)),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Webhook responded ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+}
+
+// Zapier catch hooks map flat top-level keys to zap fields
+class ZapierTransport extends WebhookTransport {
+  constructor(options = {}) {
+    super({ urlEnv: ['ZAPIER_WEBHOOK_URL'], ...options });
+  }
+
+  formatPayload(notification) {
+    return {
+      event_type: notification.type,
+      severity: notification.severity,
+      timestamp: notification.timestamp,
+      slack_channel: notification.channel,
+      text: toPlainText(notification.message),
+      ...(notification.context || {})
+    };
+  }
+}
+
+/**
+ * Minimal SMTP client: EHLO, STARTTLS when offered, optional AUTH PLAIN, one
+ * message, QUIT. Enough for a relay or a local stand-in such as MailHog
+ * (SMTP_HOST=localhost SMTP_PORT=1025). Use SMTP_SECURE=true for implicit TLS
+ * on port 465. Credentials are only sent over TLS: with SMTP_USER set, a server
+ * that offers neither is refused.
+ */
+class EmailTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT, 10) || 25,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.SMTP_FROM,
+    to = [],
+    timeoutMs = 10000
+  } = {}) {
+    Object.assign(this, { host, port, secure, user, pass, from, to: [].concat(to), timeoutMs });
+  }
+
+  isConfigured() {
+    return Boolean(this.host && this.from && this.to.length > 0);
+  }
+
+  formatMessage(notification) {
+    const subject = `[HAL ${notification.severity}] ${(notification.message.text || notification.type).replace(/[\r\n]+/g, ' ')}`;
+    const body = toPlainText(notification.message)
+      .replace(/\r?\n/g, '\r\n')
+      .replace(/^\./gm, '..');
+
+    return [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      // RFC 2047 encoded-word, since subjects carry emoji
+      `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+      `Date: ${new Date(notification.timestamp).toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      body
+    ].join('\r\n');
+  }
+
+  async send(notification) {
+    const session = await SmtpSession.connect(this);
+
+    try {
+      await session.command(null, 220);
+      let capabilities = await session.command(`EHLO ${os.hostname()}`, 250);
+
+      if (!session.encrypted && /^250[- ]STARTTLS\b/im.test(capabilities)) {
+        await session.command('STARTTLS', 220);
+        await session.startTls(this);
+        capabilities = await session.command(`EHLO ${os.hostname()}`, 250);
+      }
+
+      if (this.user) {
+        if (!session.encrypted) {
+          throw new Error(`SMTP ${this.host}:${this.port} offers no STARTTLS; refusing to send credentials unencrypted (set SMTP_SECURE=true for implicit TLS)`);
+        }
+        await session.command(`AUTH PLAIN ${Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64')}`, 235);
+      }
+      await session.command(`MAIL FROM:<${this.from}>`, 250);
+      for (const recipient of this.to) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await session.command('DATA', 354);
+      await session.command(`${this.formatMessage(notification)}\r\n.`, 250);
+      await session.command('QUIT', 221);
+    } finally {
+      session.close();
+    }
+  }
+}
+
+class SmtpSession {
+  static connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP ${host}:${port} timed out`)));
+      socket.once('error', reject);
+      socket.once(secure ? 'secureConnect' : 'connect', () => resolve(new SmtpSession(socket, secure)));
+    });
+  }
+
+  constructor(socket, encrypted = false) {
+    this.buffer = '';
+    this.waiting = null;
+    this.closed = null;
+    this.attach(socket, encrypted);
+  }
+
+  attach(socket, encrypted) {
+    this.socket = socket;
+    this.encrypted = encrypted;
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.flush();
+    });
+    socket.on('error', error => this.fail(error));
+    // A server that hangs up without replying must not leave a command waiting forever
+    socket.on('end', () => this.fail(new Error('SMTP connection closed by the server')));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  fail(error) {
+    if (!this.closed) this.closed = error;
+    if (!this.waiting) return;
+
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  // Upgrades the connection after a 220 reply to STARTTLS
+  startTls({ host, port, timeoutMs }) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('end');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('timeout');
+
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: plain, servername: host });
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP ${host}:${port} timed out`)));
+      socket.once('error', reject);
+      socket.once('secureConnect', () => {
+        this.buffer = '';
+        this.attach(socket, true);
+        resolve();
+      });
+    });
+  }
+
+  // A reply is complete at a line of the form "250 text" (no dash after the code)
+  flush() {
+    const match = this.buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n/);
+    if (!match || !this.waiting) return;
+
+    const reply = this.buffer.slice(0, match.index + match[0].length);
+    this.buffer = this.buffer.slice(reply.length);
+
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: parseInt(match[1], 10), text: reply.trim() });
+  }
+
+  async command(line, expected) {
+    const reply = new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+
+    if (line !== null && !this.closed) this.socket.write(`${line}\r\n`);
+    this.flush();
+    if (this.closed && this.waiting) this.fail(this.closed);
+
+    const { code, text } = await reply;
+    if (![].concat(expected).includes(code)) {
+      throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${text}`);
+    }
+    return text;
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+class FileTransport {
+  constructor({ path: filePath = 'logs/notifications.jsonl' } = {}) {
+    this.filePath = path.resolve(__dirname, '..', filePath);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(notification) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(notification)}\n`);
+  }
+}
+
+const TRANSPORTS = {
+  slack: SlackTransport,
+  webhook: WebhookTransport,
+  zapier: ZapierTransport,
+  email: EmailTransport,
+  file: FileTransport
+};
+
+function createTransport({ transport, ...options }) {
+  const Transport = TRANSPORTS[transport];
+  if (!Transport) {
+    throw new Error(`Unknown notification transport "${transport}": expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return new Transport(options);
+}
+
+module.exports = {
+  createTransport,
+  toPlainText,
+  SlackTransport,
+  WebhookTransport,
+  ZapierTransport,
+  EmailTransport,
+  FileTransport,
+  TRANSPORTS
+};
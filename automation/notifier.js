@@ -0,0 +1,116 @@
+/**
+ * HAL Phase 3 - Notifier
+ * Single entry point for outgoing notifications. Routing rules in
+ * config/notifications.json map each notification's type, severity and
+ * requested channel to named destinations, each backed by a transport.
+ *
+ * Routes are checked in order and the first match wins; destinations listed
+ * under "always" receive every notification. A match value may end in `*`
+ * to match a prefix (e.g. "task.*"). Severities: info, warning, error, critical.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { createTransport, toPlainText, FileTransport } = require('./notification-transports');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('notifier');
+
+const DEFAULT_NOTIFICATIONS_PATH = path.join(__dirname, '..', 'config', 'notifications.json');
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+function matchesValue(patterns, value) {
+  if (!patterns) return true;
+
+  return [].concat(patterns).some(pattern => pattern.endsWith('*')
+    ? String(value || '').startsWith(pattern.slice(0, -1))
+    : pattern === value);
+}
+
+function loadNotificationConfig(configPath = process.env.HAL_NOTIFICATIONS_PATH || DEFAULT_NOTIFICATIONS_PATH) {
+  if (!fs.existsSync(configPath)) {
+    // Without a routing file, behave like the original single Slack webhook
+    return {
+      destinations: { slack: { transport: 'slack', webhookUrlEnv: ['SLACK_WEBHOOK_URL'] } },
+      routes: [{ name: 'default', match: {}, destinations: ['slack'] }],
+      always: []
+    };
+  }
+
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+class Notifier {
+  constructor(config = loadNotificationConfig()) {
+    this.routes = config.routes || [];
+    this.always = config.always || [];
+    this.destinations = {};
+
+    Object.entries(config.destinations || {}).forEach(([name, options]) => {
+      this.destinations[name] = createTransport(options);
+    });
+
+    [...this.always, ...this.routes.flatMap(route => route.destinations)].forEach(name => {
+      if (!this.destinations[name]) {
+        throw new Error(`Notification route references unknown destination "${name}"`);
+      }
+    });
+  }
+
+  // Destination names for a notification: the first matching route plus "always"
+  route({ type, severity, channel }) {
+    const route = this.routes.find(({ match = {} }) =>
+      matchesValue(match.type, type) &&
+      matchesValue(match.severity, severity) &&
+      matchesValue(match.channel, channel)
+    );
+
+    return [...new Set([...(route ? route.destinations : []), ...this.always])];
+  }
+
+  /**
+   * Delivers a notification to every routed destination. Delivery failures
+   * are logged and reported per destination, never thrown, so a broken
+   * transport cannot fail the automation run.
+   */
+  async notify({ type, severity = 'info', channel, message, context }) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid notification severity "${severity}": expected one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const notification = { type, severity, channel, message, context, timestamp: moment().toISOString() };
+    const destinations = this.route(notification);
+    const results = [];
+
+    for (const name of destinations) {
+      const transport = this.destinations[name];
+
+      if (!transport.isConfigured()) {
+        results.push({ destination: name, delivered: false, skipped: true });
+        continue;
+      }
+
+      try {
+        await transport.send(notification);
+        results.push({ destination: name, delivered: true });
+      } catch (error) {
+        logger.error(`❌ Failed to deliver ${type} notification to ${name}: ${error.message}`, { type, destination: name, error });
+        results.push({ destination: name, delivered: false, error: error.message });
+      }
+    }
+
+    // The file sink records everything, so it does not count as reaching anyone
+    const delivered = results.filter(r => r.delivered && !(this.destinations[r.destination] instanceof FileTransport));
+    if (delivered.length > 0) {
+      logger.info(`📢 Notification sent to ${delivered.map(r => r.destination).join(', ')}: ${message.text}`, { type, severity });
+    } else {
+      logger.info(`📢 Notification not delivered (no configured destination): ${message.text}`, { type, severity, destinations });
+    }
+
+    return results;
+  }
+}
+
+module.exports = { Notifier, loadNotificationConfig, toPlainText, SEVERITIES, DEFAULT_NOTIFICATIONS_PATH };
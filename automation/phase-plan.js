@@ -0,0 +1,189 @@
+/**
+ * HAL Phase 3 - Phase Plan
+ * Loads the phase metadata, weeks and tasks from config/phase-plan.json (or a
+ * YAML file with the same shape) and validates it against
+ * schemas/phase-plan.schema.json at load time. Day counts, week boundaries
+ * and task totals everywhere are derived from the loaded plan, so another
+ * phase only needs a different plan file.
+ *
+ * Override the file with HAL_PHASE_PLAN_PATH (.json, .yaml or .yml).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const Ajv = require('ajv');
+const { WorkingCalendar, isValidTimezone } = require('./calendar');
+
+const DEFAULT_PHASE_PLAN_PATH = path.join(__dirname, '..', 'config', 'phase-plan.json');
+const PHASE_PLAN_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'phase-plan.schema.json');
+
+class PhasePlan {
+  constructor(plan, source = null) {
+    this.source = source;
+    this.phase = plan.phase;
+    this.weeks = plan.weeks
+      .map(week => ({ ...week, days: [...week.days].sort((a, b) => a - b) }))
+      .sort((a, b) => a.week - b.week);
+
+    this.name = plan.phase.name;
+    this.calendar = new WorkingCalendar({ startDate: plan.phase.startDate, ...plan.calendar });
+    this.startDate = this.calendar.getDateForDay(1);
+    this.totalDays = Math.max(...this.weeks.flatMap(week => week.days));
+    this.totalTasks = this.getTasks().length;
+    this.totalHours = this.getTasks().reduce((sum, task) => sum + task.hours, 0);
+  }
+
+  getWeekNumbers() {
+    return this.weeks.map(week => week.week);
+  }
+
+  getWeek(weekNumber) {
+    return this.weeks.find(week => week.week === weekNumber) || null;
+  }
+
+  // Week a phase day belongs to; days outside the plan fall into the first or last week
+  getWeekForDay(day) {
+    const week = this.weeks.find(w => w.days.includes(day));
+    if (week) return week.week;
+    return day < 1 ? this.weeks[0].week : this.weeks[this.weeks.length - 1].week;
+  }
+
+  // Every task with the week it belongs to
+  getTasks() {
+    return this.weeks.flatMap(week => week.tasks.map(task => ({ ...task, week: week.week })));
+  }
+
+  getTask(taskId) {
+    return this.getTasks().find(task => task.id === taskId) || null;
+  }
+
+  getTargetDate() {
+    return this.calendar.getDateForDay(this.totalDays);
+  }
+
+  describe() {
+    return {
+      source: this.source,
+      phase: this.phase,
+      totalDays: this.totalDays,
+      totalTasks: this.totalTasks,
+      totalHours: this.totalHours,
+      startDate: this.startDate.format('YYYY-MM-DD'),
+      targetDate: this.getTargetDate().format('YYYY-MM-DD'),
+      calendar: this.calendar.describe(),
+      weeks: this.weeks.map(week => ({ week: week.week, name: week.name, days: week.days, tasks: week.tasks.length }))
+    };
+  }
+}
+
+let validator = null;
+
+function getValidator() {
+  if (!validator) {
+    const ajv = new Ajv({ allErrors: true });
+    validator = ajv.compile(JSON.parse(fs.readFileSync(PHASE_PLAN_SCHEMA_PATH, 'utf8')));
+  }
+  return validator;
+}
+
+// Structural rules the JSON Schema cannot express; dependency checks live in the plan linter
+function checkStructure(plan) {
+  const errors = [];
+  const dayOwners = new Map();
+  const taskIds = new Set();
+
+  plan.weeks.forEach(week => {
+    week.days.forEach(day => {
+      if (dayOwners.has(day)) errors.push(`day ${day} belongs to both week ${dayOwners.get(day)} and week ${week.week}`);
+      dayOwners.set(day, week.week);
+    });
+
+    week.tasks.forEach(task => {
+      if (taskIds.has(task.id)) errors.push(`task ${task.id} is defined more than once`);
+      taskIds.add(task.id);
+
+      const outside = task.days.filter(day => !week.days.includes(day));
+      if (outside.length > 0) errors.push(`task ${task.id} is scheduled on day(s) ${outside.join(', ')} outside week ${week.week}`);
+    });
+  });
+
+  if (new Set(plan.weeks.map(week => week.week)).size !== plan.weeks.length) {
+    errors.push('week numbers must be unique');
+  }
+
+  const totalDays = Math.max(...dayOwners.keys());
+  for (let day = 1; day <= totalDays; day++) {
+    if (!dayOwners.has(day)) errors.push(`day ${day} does not belong to any week`);
+  }
+
+  if (!moment(plan.phase.startDate, 'YYYY-MM-DD', true).isValid()) {
+    errors.push(`phase.startDate "${plan.phase.startDate}" is not a valid date`);
+  }
+
+  const calendar = plan.calendar || {};
+  if (calendar.timezone && !isValidTimezone(calendar.timezone)) {
+    errors.push(`calendar.timezone "${calendar.timezone}" is not a known timezone`);
+  }
+  if ((calendar.weekends || []).length === 7) {
+    errors.push('calendar.weekends leaves no working days');
+  }
+  (calendar.holidays || []).forEach(holiday => {
+    if (!moment(holiday.date, 'YYYY-MM-DD', true).isValid()) errors.push(`calendar holiday "${holiday.date}" is not a valid date`);
+  });
+
+  return errors;
+}
+
+function parsePlanFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (/\.ya?ml$/i.test(filePath)) {
+    const yaml = require('js-yaml');
+    return yaml.load(content);
+  }
+  return JSON.parse(content);
+}
+
+function validatePhasePlan(plan) {
+  const validate = getValidator();
+  if (!validate(plan)) {
+    return { valid: false, errors: validate.errors.map(error => `${error.dataPath || '(root)'} ${error.message}`) };
+  }
+
+  const errors = checkStructure(plan);
+  return { valid: errors.length === 0, errors };
+}
+
+function loadPhasePlan(filePath = process.env.HAL_PHASE_PLAN_PATH || DEFAULT_PHASE_PLAN_PATH) {
+  let plan;
+  try {
+    plan = parsePlanFile(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read phase plan ${filePath}: ${error.message}`);
+  }
+
+  const { valid, errors } = validatePhasePlan(plan);
+  if (!valid) {
+    throw new Error(`Invalid phase plan ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return new PhasePlan(plan, filePath);
+}
+
+let defaultPlan = null;
+
+function getPhasePlan() {
+  if (!defaultPlan) defaultPlan = loadPhasePlan();
+  return defaultPlan;
+}
+
+module.exports = {
+  PhasePlan,
+  loadPhasePlan,
+  validatePhasePlan,
+  parsePlanFile,
+  getPhasePlan,
+  DEFAULT_PHASE_PLAN_PATH,
+  PHASE_PLAN_SCHEMA_PATH
+};
@@ -0,0 +1,104 @@
+/**
+ * HAL Phase 3 - Plan Graph Export
+ * The phase plan as a dependency graph (Graphviz DOT) and as a schedule
+ * (Mermaid Gantt). Both use the revised days from the rescheduler, mark the
+ * planned critical path and, when statuses are given, completed tasks.
+ *
+ * Gantt bars run from a task's first to its last scheduled day, counted in
+ * working days: weekends and holidays are excluded through Mermaid's
+ * `excludes`, so the bars line up with phase days.
+ */
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+function buildPlanGraph(plan, { revisedDays = {}, criticalPath = [], statuses = {} } = {}) {
+  const tasks = plan.getTasks();
+
+  return {
+    phase: plan.name,
+    nodes: tasks.map(task => ({
+      id: task.id,
+      name: task.name,
+      owner: task.owner,
+      week: task.week,
+      hours: task.hours,
+      days: revisedDays[task.id] || task.days,
+      rescheduled: Boolean(revisedDays[task.id]),
+      critical: criticalPath.includes(task.id),
+      status: statuses[task.id] || 'pending'
+    })),
+    edges: tasks.flatMap(task => task.deps.map(dep => ({ from: dep, to: task.id }))),
+    criticalPath
+  };
+}
+
+function formatDayRange(days) {
+  const first = Math.min(...days);
+  const last = Math.max(...days);
+  return first === last ? `day ${first}` : `days ${first}-${last}`;
+}
+
+function quote(text) {
+  return `"${String(text).replace(/"/g, '\\"')}"`;
+}
+
+function toDot(graph, plan) {
+  const lines = [
+    `digraph ${quote(graph.phase)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];'
+  ];
+
+  plan.weeks.forEach(week => {
+    lines.push(`  subgraph cluster_week${week.week} {`, `    label=${quote(`Week ${week.week}: ${week.name}`)};`);
+    graph.nodes.filter(node => node.week === week.week).forEach(node => {
+      const attributes = [`label=${quote(`${node.id} ${node.name}\\n${node.owner} · ${node.hours}h · ${formatDayRange(node.days)}`)}`];
+      if (node.critical) attributes.push('color=red', 'penwidth=2');
+      if (node.status === 'completed') attributes.push('style="rounded,filled"', 'fillcolor="#d4edda"');
+      lines.push(`    ${quote(node.id)} [${attributes.join(', ')}];`);
+    });
+    lines.push('  }');
+  });
+
+  const critical = new Set(graph.criticalPath);
+  graph.edges.forEach(edge => {
+    const onPath = critical.has(edge.from) && critical.has(edge.to);
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${onPath ? ' [color=red, penwidth=2]' : ''};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function toMermaidGantt(graph, plan) {
+  const calendar = plan.calendar.describe();
+  const excludes = [
+    ...calendar.weekends.map(day => day.toLowerCase()),
+    ...calendar.holidays.map(holiday => holiday.date)
+  ];
+  const lines = [
+    'gantt',
+    `  title ${graph.phase}`,
+    `  dateFormat ${DATE_FORMAT}`,
+    ...(excludes.length > 0 ? [`  excludes ${excludes.join(', ')}`] : [])
+  ];
+
+  plan.weeks.forEach(week => {
+    lines.push(`  section Week ${week.week}`);
+    graph.nodes.filter(node => node.week === week.week).forEach(node => {
+      const first = Math.min(...node.days);
+      const duration = Math.max(...node.days) - first + 1;
+      const tags = [
+        ...(node.status === 'completed' ? ['done'] : []),
+        ...(node.critical ? ['crit'] : [])
+      ];
+      // Mermaid treats ":" as the name/metadata separator and "#" as a comment
+      const name = `${node.id} ${node.name} (${node.owner})`.replace(/[:#;]/g, ' ');
+      lines.push(`  ${name} :${[...tags, `t${node.id.replace('.', '_')}`, plan.calendar.getDateForDay(first).format(DATE_FORMAT), `${duration}d`].join(', ')}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = { buildPlanGraph, toDot, toMermaidGantt };
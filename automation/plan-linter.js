@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Plan Linter
+ * Checks that the phase plan's dependency graph and ownership make sense
+ * before it reaches the scheduler:
+ *
+ *   errors    missing-dependency    a dep id that is not in the plan
+ *             dependency-cycle      tasks that (transitively) depend on themselves
+ *             dependency-order      a dep first scheduled after the dependent's last day
+ *   warnings  late-dependency       a dep first scheduled after the dependent's first day
+ *
+ * With a team configuration it also reports the team checks of
+ * automation/team-config.js (owners, hours, weeks and derived sections).
+ *
+ * Owners are compared case-insensitively: the plan uses "Aria" where
+ * config/team-assignments.json uses the key "aria".
+ *
+ * Usage:
+ *   node automation/plan-linter.js [--plan <file>] [--team <file>] [--json] [--strict]
+ *
+ * Exits 1 on errors (or on warnings with --strict) so CI can gate plan changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadPhasePlan } = require('./phase-plan');
+const { validateTeamConfig, formatLintResult } = require('./team-config');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('plan-linter');
+
+const DEFAULT_TEAM_CONFIG_PATH = path.join(__dirname, '..', 'config', 'team-assignments.json');
+
+// Every cycle once, as the list of task ids along it (first id repeated at the end)
+function findCycles(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const state = new Map();
+  const stack = [];
+  const cycles = [];
+
+  function visit(taskId) {
+    state.set(taskId, 'visiting');
+    stack.push(taskId);
+
+    byId.get(taskId).deps.filter(dep => byId.has(dep)).forEach(dep => {
+      if (state.get(dep) === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    });
+
+    stack.pop();
+    state.set(taskId, 'done');
+  }
+
+  tasks.forEach(task => {
+    if (!state.has(task.id)) visit(task.id);
+  });
+
+  return cycles;
+}
+
+/**
+ * Lints a loaded PhasePlan. Returns { errors, warnings }, each a list of
+ * { code, taskId, message } (team issues also carry `member`).
+ */
+function lintPlan(plan, { teamConfig = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const tasks = plan.getTasks();
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  tasks.forEach(task => {
+    const firstDay = Math.min(...task.days);
+    const lastDay = Math.max(...task.days);
+
+    task.deps.forEach(depId => {
+      const dep = byId.get(depId);
+      if (!dep) {
+        errors.push({ code: 'missing-dependency', taskId: task.id, message: `depends on ${depId}, which is not in the plan` });
+        return;
+      }
+
+      const depFirstDay = Math.min(...dep.days);
+      if (depFirstDay > lastDay) {
+        errors.push({ code: 'dependency-order', taskId: task.id, message: `depends on ${depId} (first scheduled day ${depFirstDay}), which starts after its last day ${lastDay}` });
+      } else if (depFirstDay > firstDay) {
+        warnings.push({ code: 'late-dependency', taskId: task.id, message: `depends on ${depId} (first scheduled day ${depFirstDay}), so it is blocked on day ${firstDay}` });
+      }
+    });
+  });
+
+  findCycles(tasks).forEach(cycle => {
+    errors.push({ code: 'dependency-cycle', taskId: cycle[0], message: `dependency cycle ${cycle.join(' → ')}` });
+  });
+
+  if (teamConfig) {
+    const team = validateTeamConfig(plan, teamConfig);
+    errors.push(...team.errors);
+    warnings.push(...team.warnings);
+  }
+
+  // Member-level team issues have no task id and sort after the task issues
+  const byTaskId = (a, b) => (a.taskId || '~').localeCompare(b.taskId || '~', undefined, { numeric: true }) || (a.member || '').localeCompare(b.member || '');
+  return { errors: errors.sort(byTaskId), warnings: warnings.sort(byTaskId) };
+}
+
+function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      plan: { type: 'string' },
+      team: { type: 'string', default: DEFAULT_TEAM_CONFIG_PATH },
+      json: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'plan-linter', level: values['log-level'], quiet: values.json });
+
+  const plan = values.plan ? loadPhasePlan(values.plan) : loadPhasePlan();
+  const teamConfig = JSON.parse(fs.readFileSync(values.team, 'utf8'));
+  const result = lintPlan(plan, { teamConfig });
+
+  console.log(values.json ? JSON.stringify({ plan: plan.source, ...result }, null, 2) : formatLintResult(result));
+
+  if (result.errors.length > 0 || (values.strict && result.warnings.length > 0)) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = { lintPlan, findCycles, formatLintResult };
@@ -0,0 +1,17 @@
+/**
+ * HAL Phase 3 - Event File Transport Plugin
+ * Forwards every engine event to the events file tailed by the monitoring dashboard
+ */
+
+const { FileEventWriter } = require('../event-transport');
+
+module.exports = {
+  name: 'event-file-transport',
+
+  register(bus, { logger }) {
+    const writer = new FileEventWriter();
+    logger.debug(`📡 Writing engine events to ${writer.filePath}`);
+
+    bus.subscribe('*', event => writer.write(event), 'event-file-transport');
+  }
+};
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Quality Gates
+ * Declarative gates from config/quality-gates.json, evaluated when their
+ * checkpoint task settles. A failed gate holds the tasks it guards as `gated`
+ * until it passes on re-evaluation or is explicitly overridden.
+ *
+ * Criteria types:
+ *   checkpointCompleted           the checkpoint task itself completed
+ *   successRate { weeks, min }    % of tasks in those weeks completed, not
+ *                                 counting the tasks the gate itself holds
+ *   noFailedCritical { weeks }    no failed task with "priority": "critical"
+ *   script { command, timeoutMs } custom check, passes on exit code 0
+ *
+ * Usage:
+ *   node automation/quality-gates.js status
+ *   node automation/quality-gates.js override <gate-id> --by <name> --reason <text>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('util');
+const { getPhasePlan } = require('./task-scheduler');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('quality-gates');
+
+const DEFAULT_GATES_PATH = path.join(__dirname, '..', 'config', 'quality-gates.json');
+const DEFAULT_GATE_STATE_PATH = path.join(__dirname, '..', 'state', 'quality-gates.json');
+
+function getWeekTasks(weeks) {
+  return getPhasePlan().getTasks().filter(task => weeks.includes(task.week));
+}
+
+// Whether a gate guards a task. Weeks are plan weeks, so a task carried into a
+// held week is not held by the gate it has to complete
+function isHeldBy(gate, task) {
+  const holds = gate.holds || {};
+  return (holds.weeks || []).includes(task.week) || (holds.tasks || []).includes(task.id);
+}
+
+function getTaskPriority(teamConfig, taskId) {
+  const assignments = (teamConfig && teamConfig.taskAssignments) || {};
+  for (const week of Object.values(assignments)) {
+    if (week[taskId]) return week[taskId].priority;
+  }
+  return null;
+}
+
+const CRITERIA = {
+  checkpointCompleted(criterion, { gate, ledger }) {
+    const status = ledger.getStatus(gate.checkpointTask);
+    return {
+      passed: status === 'completed',
+      detail: `Checkpoint task ${gate.checkpointTask} is ${status}`
+    };
+  },
+
+  successRate(criterion, { gate, ledger }) {
+    // Held tasks cannot complete before the gate passes
+    const tasks = getWeekTasks(criterion.weeks).filter(task => !isHeldBy(gate, task));
+    const completed = tasks.filter(task => ledger.isCompleted(task.id)).length;
+    const rate = tasks.length > 0 ? (completed / tasks.length) * 100 : 100;
+
+    return {
+      passed: rate >= criterion.min,
+      detail: `${rate.toFixed(1)}% of ${tasks.length} tasks completed (minimum ${criterion.min}%)`
+    };
+  },
+
+  noFailedCritical(criterion, { ledger, teamConfig }) {
+    const failed = getWeekTasks(criterion.weeks)
+      .filter(task => getTaskPriority(teamConfig, task.id) === 'critical')
+      .filter(task => ledger.getStatus(task.id) === 'failed')
+      .map(task => task.id);
+
+    return {
+      passed: failed.length === 0,
+      detail: failed.length === 0 ? 'No failed critical-priority tasks' : `Failed critical tasks: ${failed.join(', ')}`
+    };
+  },
+
+  script(criterion, { gate }) {
+    const result = spawnSync(criterion.command, {
+      shell: true,
+      encoding: 'utf8',
+      timeout: criterion.timeoutMs || 5 * 60 * 1000,
+      env: { ...process.env, HAL_GATE_ID: gate.id, HAL_GATE_CHECKPOINT: gate.checkpointTask }
+    });
+
+    const output = `${result.stdout || ''}${result.stderr || ''}`.trim().split('\n').slice(-1)[0];
+    return {
+      passed: result.status === 0,
+      detail: result.error ? `Check script failed to run: ${result.error.message}` : `\`${criterion.command}\` exited ${result.status}${output ? `: ${output}` : ''}`
+    };
+  }
+};
+
+class QualityGates {
+  constructor({
+    ledger,
+    teamConfig = {},
+    gatesPath = DEFAULT_GATES_PATH,
+    statePath = process.env.HAL_GATE_STATE_PATH || DEFAULT_GATE_STATE_PATH
+  } = {}) {
+    this.ledger = ledger;
+    this.teamConfig = teamConfig;
+    this.statePath = statePath;
+    this.definitions = fs.existsSync(gatesPath) ? JSON.parse(fs.readFileSync(gatesPath, 'utf8')).gates : [];
+    this.state = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.statePath)) return { gates: {} };
+
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      logger.error(`❌ Failed to read quality gate state ${this.statePath}: ${error.message}`, { error });
+      return { gates: {} };
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+  }
+
+  getGate(gateId) {
+    const gate = this.definitions.find(g => g.id === gateId);
+    if (!gate) throw new Error(`Unknown quality gate "${gateId}"`);
+    return gate;
+  }
+
+  getStatus(gateId) {
+    return this.state.gates[gateId] || { gateId, status: 'pending' };
+  }
+
+  getGatesForCheckpoint(taskId) {
+    return this.definitions.filter(gate => gate.checkpointTask === taskId);
+  }
+
+  evaluate(gateId) {
+    const gate = this.getGate(gateId);
+    this.state = this.load();
+    const previous = this.getStatus(gateId);
+
+    // An explicit override stands until someone clears it
+    if (previous.status === 'overridden') return previous;
+
+    const criteria = gate.criteria.map(criterion => {
+      const check = CRITERIA[criterion.type];
+      if (!check) {
+        return { type: criterion.type, passed: false, detail: `Unknown criterion type "${criterion.type}"` };
+      }
+      return { type: criterion.type, ...check(criterion, { gate, ledger: this.ledger, teamConfig: this.teamConfig }) };
+    });
+
+    const evaluation = {
+      gateId,
+      name: gate.name,
+      checkpointTask: gate.checkpointTask,
+      status: criteria.every(c => c.passed) ? 'passed' : 'failed',
+      criteria,
+      evaluatedAt: moment().toISOString()
+    };
+
+    this.state.gates[gateId] = evaluation;
+    this.save();
+
+    logger.info(`🚦 Quality gate ${gateId}: ${evaluation.status.toUpperCase()}`, { gateId, status: evaluation.status, criteria });
+    return evaluation;
+  }
+
+  override(gateId, { by, reason }) {
+    if (!by || !reason) {
+      throw new Error('Overriding a quality gate requires --by and --reason');
+    }
+
+    this.getGate(gateId);
+    this.state = this.load();
+    this.state.gates[gateId] = {
+      ...this.getStatus(gateId),
+      status: 'overridden',
+      override: { by, reason, at: moment().toISOString() }
+    };
+    this.save();
+
+    logger.warn(`🚦 Quality gate ${gateId} overridden by ${by}: ${reason}`, { gateId, by, reason });
+    return this.state.gates[gateId];
+  }
+
+  /**
+   * Re-checks every failed gate, since its criteria can be met after the
+   * checkpoint settled (e.g. the checkpoint task approved later). Re-reads the
+   * state first, as the engine, the CLIs and the dashboard all write it.
+   */
+  reevaluateFailed() {
+    this.state = this.load();
+    return this.definitions
+      .filter(gate => this.getStatus(gate.id).status === 'failed')
+      .map(gate => this.evaluate(gate.id));
+  }
+
+  // The failed gate holding a task back, if any
+  getHold(task) {
+    return this.definitions.find(gate => this.getStatus(gate.id).status === 'failed' && isHeldBy(gate, task)) || null;
+  }
+
+  summary() {
+    return this.definitions.map(gate => {
+      const status = this.getStatus(gate.id);
+      return {
+        gateId: gate.id,
+        name: gate.name,
+        checkpointTask: gate.checkpointTask,
+        status: status.status,
+        failedCriteria: (status.criteria || []).filter(c => !c.passed).map(c => c.detail),
+        override: status.override || null
+      };
+    });
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      by: { type: 'string' },
+      reason: { type: 'string' },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'quality-gates', level: values['log-level'] });
+
+  const { TaskLedger } = require('./task-ledger');
+  const teamConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'team-assignments.json'), 'utf8'));
+  const gates = new QualityGates({ ledger: new TaskLedger(), teamConfig });
+  const [command = 'status', gateId] = positionals;
+
+  if (command === 'override') {
+    gates.override(gateId, { by: values.by, reason: values.reason });
+  } else if (command !== 'status') {
+    throw new Error(`Unknown command "${command}": expected status or override`);
+  }
+
+  console.log(JSON.stringify(gates.summary(), null, 2));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = { QualityGates, CRITERIA, DEFAULT_GATES_PATH, DEFAULT_GATE_STATE_PATH };
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Availability & Reassignment
+ * Finds open tasks whose owner is out of office (`availability` in
+ * config/team-assignments.json) on any of their remaining scheduled days and
+ * proposes a substitute for each.
+ *
+ * Candidates are the other members available on all of those days, ranked by
+ * whether they have room for the task's daily effort next to their current
+ * load, then by skill overlap (matchSkills in capacity.js), then by being one
+ * of `reassignment.backups`, then by their peak load on those days. Only
+ * candidates with room and at least one matching skill qualify.
+ *
+ * With `reassignment.mode` "apply" the engine hands each task to the top
+ * qualifying candidate before the day runs; with "propose" it only reports
+ * them. A task nobody qualifies for stays with its owner and raises an alert. Applied
+ * owners are kept in state/assignments.json (HAL_ASSIGNMENTS_PATH) and read by
+ * the scheduler; the plan file itself never changes.
+ *
+ * Usage:
+ *   node automation/reassignment.js propose [--day <n>] [--json]
+ *   node automation/reassignment.js apply [--day <n>]
+ *   node automation/reassignment.js assign <task-id> <member>
+ *   node automation/reassignment.js list [--json]
+ *   node automation/reassignment.js reset
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { parseArgs } = require('util');
+const { getPhasePlan } = require('./phase-plan');
+const { CapacityPlanner, matchSkills, getDailyEffort } = require('./capacity');
+const { readAssignmentState, loadRevisedDays, emptyAssignmentState, DEFAULT_ASSIGNMENTS_PATH } = require('./schedule-state');
+const { findAbsence, loadTeamConfig } = require('./team-config');
+const { TaskLedger } = require('./task-ledger');
+const { getCurrentPhaseDay } = require('./task-scheduler');
+const { createClock } = require('./clock');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('reassignment');
+
+const EPSILON = 1e-6;
+
+class ReassignmentEngine {
+  constructor({
+    teamConfig = {},
+    ledger = null,
+    plan = getPhasePlan(),
+    statePath = process.env.HAL_ASSIGNMENTS_PATH || DEFAULT_ASSIGNMENTS_PATH
+  } = {}) {
+    this.teamConfig = teamConfig;
+    this.team = teamConfig.team || {};
+    this.settings = { mode: 'propose', backups: [], ...teamConfig.reassignment };
+    this.ledger = ledger;
+    this.plan = plan;
+    this.statePath = statePath;
+    this.load();
+  }
+
+  // Re-reads the applied owners and the revised schedule, which other runs may have changed
+  load() {
+    this.state = readAssignmentState(this.statePath);
+    this.revisedDays = loadRevisedDays();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+  }
+
+  getOwner(task) {
+    const entry = this.state.tasks[task.id];
+    return entry ? entry.owner : task.owner;
+  }
+
+  getOwners() {
+    return Object.fromEntries(Object.entries(this.state.tasks).map(([taskId, entry]) => [taskId, entry.owner]));
+  }
+
+  getDate(day) {
+    return this.plan.calendar.getDateForDay(day).format('YYYY-MM-DD');
+  }
+
+  findMember(name) {
+    return this.team[String(name).toLowerCase()] || Object.values(this.team).find(member => member.name.toLowerCase() === String(name).toLowerCase()) || null;
+  }
+
+  // Open tasks with days from `day` on that their current owner is out of office
+  findUncovered(day) {
+    return this.plan.getTasks()
+      .filter(task => !this.ledger || !this.ledger.isCompleted(task.id))
+      .map(task => {
+        const owner = this.getOwner(task);
+        const days = (this.revisedDays[task.id] || task.days).filter(d => d >= day);
+        const absences = days
+          .map(d => ({ day: d, date: this.getDate(d), absence: findAbsence(this.teamConfig, owner, this.getDate(d)) }))
+          .filter(entry => entry.absence);
+        return { task, owner, days, absences };
+      })
+      .filter(entry => entry.absences.length > 0);
+  }
+
+  /**
+   * Members who could take the task on the given days, best first, each with
+   * { member, skills, score, backup, peakLoad, capacity, hasRoom, qualifies }.
+   * `qualifies` requires room for the task and a matching skill.
+   */
+  rankSubstitutes(task, days) {
+    const owner = this.getOwner(task);
+    const planOwner = this.findMember(task.owner);
+    const planner = new CapacityPlanner({ plan: this.plan, teamConfig: this.teamConfig, revisedDays: this.revisedDays, owners: this.getOwners() });
+    const load = Object.fromEntries(planner.analyze().owners.map(entry => [entry.owner, entry]));
+    const effort = getDailyEffort(task);
+    const backups = this.settings.backups.map(key => String(key).toLowerCase());
+
+    return Object.entries(this.team)
+      .filter(([, member]) => member.name !== owner)
+      .filter(([, member]) => days.every(day => !findAbsence(this.teamConfig, member.name, this.getDate(day))))
+      .map(([key, member]) => {
+        const match = matchSkills(task, member, planOwner ? planOwner.skills : []);
+        const capacity = planner.getCapacity(member.name);
+        const byDay = Object.fromEntries(((load[member.name] || {}).days || []).map(entry => [entry.day, entry.load]));
+        const peakLoad = Math.max(0, ...days.map(day => byDay[day] || 0));
+        const hasRoom = peakLoad + effort <= capacity + EPSILON;
+
+        return {
+          member: member.name,
+          skills: match.skills,
+          score: match.score,
+          backup: backups.includes(key),
+          peakLoad,
+          capacity,
+          hasRoom,
+          qualifies: hasRoom && match.score > 0
+        };
+      })
+      .sort((a, b) => Number(b.hasRoom) - Number(a.hasRoom) ||
+        b.score - a.score ||
+        Number(b.backup) - Number(a.backup) ||
+        a.peakLoad - b.peakLoad);
+  }
+
+  // A proposal per uncovered task: the absent owner, the days affected, the ranked candidates and the top qualifying one
+  propose(day) {
+    this.load();
+
+    return this.findUncovered(day).map(({ task, owner, days, absences }) => {
+      const candidates = this.rankSubstitutes(task, days);
+      const substitute = candidates.find(candidate => candidate.qualifies);
+      return {
+        taskId: task.id,
+        name: task.name,
+        owner,
+        days,
+        absentDays: absences.map(entry => entry.day),
+        absence: absences[0].absence.reason || 'out of office',
+        candidates,
+        substitute: substitute ? substitute.member : null
+      };
+    });
+  }
+
+  /**
+   * Hands every uncovered task to its top qualifying candidate. Returns the
+   * changes made and the proposals left without a substitute.
+   */
+  apply(day) {
+    const changes = [];
+    const uncovered = [];
+
+    // Re-ranked one task at a time, so each substitute's load includes the tasks handed out before
+    this.propose(day).forEach(proposal => {
+      const best = this.rankSubstitutes(this.plan.getTask(proposal.taskId), proposal.days).find(candidate => candidate.qualifies);
+      if (best) {
+        changes.push(this.assign(proposal.taskId, best.member, { reason: 'out-of-office', day }));
+      } else {
+        uncovered.push({ ...proposal, substitute: null });
+      }
+    });
+
+    return { changes, uncovered };
+  }
+
+  // Sets a task's owner; assigning the plan owner back removes the override
+  assign(taskId, name, { reason = 'manual', day = null } = {}) {
+    const task = this.plan.getTask(taskId);
+    if (!task) throw new Error(`Unknown task "${taskId}"`);
+
+    const member = this.findMember(name);
+    if (!member) throw new Error(`Unknown team member "${name}"`);
+
+    const change = { taskId, name: task.name, from: this.getOwner(task), to: member.name, reason, day, at: moment().toISOString() };
+    if (member.name === task.owner) {
+      delete this.state.tasks[taskId];
+    } else {
+      this.state.tasks[taskId] = { owner: member.name, originalOwner: task.owner, reason, day, assignedAt: change.at };
+    }
+
+    this.state.updatedAt = change.at;
+    this.state.changes.push(change);
+    this.save();
+
+    logger.info(`🔁 Task ${taskId} reassigned from @${change.from} to @${change.to} (${reason})`, { taskId, from: change.from, to: change.to, reason });
+    return change;
+  }
+
+  // Tasks whose owner differs from the plan, in plan order
+  list() {
+    return this.plan.getTasks()
+      .filter(task => this.state.tasks[task.id])
+      .map(task => ({ taskId: task.id, name: task.name, originalOwner: task.owner, ...this.state.tasks[task.id] }));
+  }
+
+  reset() {
+    this.state = emptyAssignmentState();
+    this.save();
+  }
+}
+
+function formatProposals(proposals) {
+  if (proposals.length === 0) return '✅ No task owner is out of office';
+
+  return proposals.map(proposal => [
+    `🏝️  ${proposal.taskId} ${proposal.name}: @${proposal.owner} is away on day(s) ${proposal.absentDays.join(', ')} (${proposal.absence})`,
+    ...(proposal.candidates.length > 0
+      ? proposal.candidates.map((c, i) => `   ${i + 1}. @${c.member} - skills ${c.skills.join(', ') || 'none'}, peak ${c.peakLoad}h of ${c.capacity}h${c.hasRoom ? '' : ' ⚠️ no room'}${c.backup ? ' (backup)' : ''}`)
+      : []),
+    ...(proposal.substitute ? [] : ['   ❌ No substitute with room and matching skills'])
+  ].join('\n')).join('\n');
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      day: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'reassignment', level: values['log-level'], quiet: values.json });
+
+  const engine = new ReassignmentEngine({ teamConfig: loadTeamConfig(), ledger: new TaskLedger() });
+  const day = getCurrentPhaseDay(createClock({ day: values.day }));
+  const [command = 'propose', ...args] = positionals;
+
+  if (command === 'propose') {
+    const proposals = engine.propose(day);
+    console.log(values.json ? JSON.stringify({ day, proposals }, null, 2) : formatProposals(proposals));
+    return;
+  }
+
+  if (command === 'apply') {
+    const { changes, uncovered } = engine.apply(day);
+    uncovered.forEach(proposal => logger.warn(`⚠️  No substitute with room and matching skills for ${proposal.taskId} (@${proposal.owner} away)`, { taskId: proposal.taskId }));
+    logger.info(`✅ ${changes.length} task(s) reassigned from day ${day}`);
+    return;
+  }
+
+  if (command === 'assign') {
+    const [taskId, member] = args;
+    if (!taskId || !member) throw new Error('Usage: assign <task-id> <member>');
+    engine.assign(taskId, member);
+    return;
+  }
+
+  if (command === 'list') {
+    const tasks = engine.list();
+    console.log(values.json
+      ? JSON.stringify({ tasks }, null, 2)
+      : tasks.map(t => `🔁 ${t.taskId} ${t.name}: @${t.originalOwner} → @${t.owner} (${t.reason})`).join('\n') || 'No tasks reassigned');
+    return;
+  }
+
+  if (command === 'reset') {
+    engine.reset();
+    logger.info(`🧹 Reassignments cleared (${engine.statePath})`);
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}": expected propose, apply, assign, list or reset`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ReassignmentEngine,
+  formatProposals
+};
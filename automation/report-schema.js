@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Daily Report Schema
+ * Validates reports/daily-report-*.json against the versioned JSON Schema in
+ * schemas/ and upgrades files written by older engines. The engine validates
+ * before writing; the dashboard and retrospectives read through readReport()
+ * so older files are migrated in memory and invalid ones are reported instead
+ * of silently skewing metrics.
+ *
+ * Versions:
+ *   1  no schemaVersion; summary without gated/awaitingApproval, no progress,
+ *      results, execution modes, gates or approvals
+ *   2  current; unmeasured metrics are null rather than 0
+ *
+ * Usage:
+ *   node automation/report-schema.js validate [--reports-dir reports]
+ *   node automation/report-schema.js migrate [--reports-dir reports] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { parseArgs } = require('util');
+const { getPhasePlan } = require('./phase-plan');
+const { loadRevisedDays } = require('./schedule-state');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('report-schema');
+
+const REPORT_SCHEMA_VERSION = 2;
+const REPORT_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', `daily-report.v${REPORT_SCHEMA_VERSION}.schema.json`);
+const REPORT_FILE_PATTERN = /^daily-report-.*\.json$/;
+
+let validator = null;
+
+function getValidator() {
+  if (!validator) {
+    const ajv = new Ajv({ allErrors: true });
+    validator = ajv.compile(JSON.parse(fs.readFileSync(REPORT_SCHEMA_PATH, 'utf8')));
+  }
+  return validator;
+}
+
+function validateReport(report) {
+  const validate = getValidator();
+  const valid = validate(report);
+
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => `${error.dataPath || '(root)'} ${error.message}`)
+  };
+}
+
+function getReportVersion(report) {
+  return report && Number.isInteger(report.schemaVersion) ? report.schemaVersion : 1;
+}
+
+// Each migration upgrades a report from its key version to the next one
+const MIGRATIONS = {
+  1: report => {
+    const plan = getPhasePlan();
+    const revisedDays = loadRevisedDays();
+    const nextDay = Math.min(report.day + 1, plan.totalDays);
+    const runTasks = (report.run && report.run.tasks) || [];
+    const performance = report.performance || {};
+
+    return {
+      schemaVersion: 2,
+      date: report.date,
+      day: report.day,
+      week: report.week,
+      clockOverride: report.clockOverride || null,
+      run: report.run || null,
+      summary: { gated: 0, awaitingApproval: 0, ...report.summary },
+      progress: report.progress || {
+        tasksCompleted: null,
+        tasksTotal: plan.totalTasks
+      },
+      performance: {
+        totalTime: typeof performance.totalTime === 'number' ? performance.totalTime : null,
+        averageTime: typeof performance.averageTime === 'number' ? performance.averageTime : null,
+        efficiency: typeof performance.efficiency === 'number' ? performance.efficiency : null
+      },
+      execution: report.execution || { real: [], simulated: [] },
+      qualityGates: report.qualityGates || [],
+      pendingApprovals: report.pendingApprovals || [],
+      results: report.results || runTasks.map(task => ({ taskId: task.taskId, status: task.status })),
+      retries: report.retries || [],
+      nextDay: report.nextDay || {
+        day: nextDay,
+        week: plan.getWeekForDay(nextDay),
+        scheduledTasks: plan.getTasks().filter(task => (revisedDays[task.id] || task.days).includes(nextDay)).length
+      }
+    };
+  }
+};
+
+function migrateReport(report) {
+  let migrated = report;
+
+  for (let version = getReportVersion(report); version < REPORT_SCHEMA_VERSION; version++) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`No migration from daily report schema v${version}`);
+    }
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  return migrated;
+}
+
+/**
+ * Reads, migrates and validates one report file. Never throws for bad
+ * content: unreadable or invalid files come back with valid false and errors.
+ */
+function readReport(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { report: null, valid: false, errors: [error.message], migrated: false, version: null };
+  }
+
+  const version = getReportVersion(raw);
+  if (version > REPORT_SCHEMA_VERSION) {
+    return { report: raw, valid: false, errors: [`schemaVersion ${version} is newer than supported v${REPORT_SCHEMA_VERSION}`], migrated: false, version };
+  }
+
+  let report;
+  try {
+    report = migrateReport(raw);
+  } catch (error) {
+    return { report: raw, valid: false, errors: [error.message], migrated: false, version };
+  }
+
+  return { report, ...validateReport(report), migrated: version < REPORT_SCHEMA_VERSION, version };
+}
+
+function listReportFiles(reportsDir) {
+  if (!fs.existsSync(reportsDir)) return [];
+
+  return fs.readdirSync(reportsDir)
+    .filter(file => REPORT_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => path.join(reportsDir, file));
+}
+
+// Rewrites older reports at the current version, keeping the original next to it as .v<N>.bak
+function migrateReportsDir(reportsDir, { dryRun = false } = {}) {
+  return listReportFiles(reportsDir).map(filePath => {
+    const { report, valid, errors, migrated, version } = readReport(filePath);
+    const file = path.basename(filePath);
+
+    if (!valid) {
+      logger.warn(`⚠️  ${file} cannot be migrated: ${errors.join('; ')}`, { file, errors });
+      return { file, status: 'invalid', version, errors };
+    }
+    if (!migrated) {
+      return { file, status: 'current', version };
+    }
+
+    if (!dryRun) {
+      fs.copyFileSync(filePath, `${filePath}.v${version}.bak`);
+      fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+    }
+    logger.info(`🔄 ${file} migrated from v${version} to v${REPORT_SCHEMA_VERSION}${dryRun ? ' (dry run)' : ''}`, { file, version });
+    return { file, status: dryRun ? 'would-migrate' : 'migrated', version };
+  });
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      'reports-dir': { type: 'string', default: 'reports' },
+      'dry-run': { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'report-schema', level: values['log-level'] });
+
+  const [command = 'validate'] = positionals;
+  let results;
+
+  if (command === 'migrate') {
+    results = migrateReportsDir(values['reports-dir'], { dryRun: values['dry-run'] });
+  } else if (command === 'validate') {
+    results = listReportFiles(values['reports-dir']).map(filePath => {
+      const { valid, errors, migrated, version } = readReport(filePath);
+      const status = !valid ? 'invalid' : migrated ? 'outdated' : 'current';
+      return { file: path.basename(filePath), status, version, ...(valid ? {} : { errors }) };
+    });
+  } else {
+    throw new Error(`Unknown command "${command}": expected validate or migrate`);
+  }
+
+  console.log(JSON.stringify(results, null, 2));
+
+  const invalid = results.filter(result => result.status === 'invalid');
+  if (invalid.length > 0) {
+    logger.error(`❌ ${invalid.length} daily report(s) do not match schema v${REPORT_SCHEMA_VERSION}`, { files: invalid.map(r => r.file) });
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  REPORT_SCHEMA_PATH,
+  MIGRATIONS,
+  validateReport,
+  getReportVersion,
+  migrateReport,
+  readReport,
+  listReportFiles,
+  migrateReportsDir
+};
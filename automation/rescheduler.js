@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Rescheduler
+ * Carries unfinished work forward after each daily run. A task that ended
+ * `failed`, `blocked`, `gated` or `rejected` with no scheduled day left moves
+ * to the next day on which its incomplete dependencies are scheduled no later
+ * than it and its owner has hours to spare; incomplete tasks whose dependencies moved past
+ * their remaining days shift by the same rule, keeping their spacing.
+ *
+ * A task needs its planned daily effort (hours / planned days) on each day,
+ * counted against its current owner (see reassignment.js). An owner's day holds the span of their `workingHours` in
+ * config/team-assignments.json (calendar.hoursPerDay when unset). When no day
+ * up to the end of the phase has room, the task goes to the least loaded
+ * feasible day and is flagged overallocated; past the last day it is unplaced.
+ *
+ * The revised days are kept in state/schedule.json (HAL_SCHEDULE_PATH) and
+ * read by the scheduler; the plan file itself never changes.
+ *
+ * Usage:
+ *   node automation/rescheduler.js diff [--json]
+ *   node automation/rescheduler.js reset
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { parseArgs } = require('util');
+const { getPhasePlan } = require('./phase-plan');
+const { readScheduleState, loadAssignedOwners, emptyScheduleState, DEFAULT_SCHEDULE_PATH } = require('./schedule-state');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('rescheduler');
+
+// Ledger statuses that leave a task to be run again. Gated tasks run once their
+// gate passes or is overridden, rejected ones once they are redone
+const CARRY_STATUSES = ['failed', 'blocked', 'gated', 'rejected'];
+
+// Hours in a "08:00-18:00" working window, or null when it cannot be parsed
+function parseWorkingHours(workingHours) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(workingHours || '');
+  if (!match) return null;
+
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  const hours = (endHour * 60 + endMinute - startHour * 60 - startMinute) / 60;
+  return hours > 0 ? hours : null;
+}
+
+// Hours an owner can work per day: their workingHours span, else the calendar's hoursPerDay
+function getOwnerHours(teamConfig, owner, fallback) {
+  const member = ((teamConfig && teamConfig.team) || {})[owner.toLowerCase()];
+  return (member && parseWorkingHours(member.workingHours)) || fallback;
+}
+
+function formatDays(days) {
+  return days.length > 0 ? `day${days.length > 1 ? 's' : ''} ${days.join(', ')}` : 'no days';
+}
+
+// Unified-diff style lines: "-" the original days, "+" the revised days
+function formatScheduleDiff(diff) {
+  return diff.flatMap(entry => [
+    `- ${entry.taskId} ${entry.owner}: ${formatDays(entry.originalDays)}`,
+    `+ ${entry.taskId} ${entry.owner}: ${formatDays(entry.revisedDays)}`
+  ]).join('\n');
+}
+
+class Rescheduler {
+  constructor({
+    ledger,
+    teamConfig = {},
+    plan = getPhasePlan(),
+    statePath = process.env.HAL_SCHEDULE_PATH || DEFAULT_SCHEDULE_PATH
+  } = {}) {
+    this.ledger = ledger;
+    this.teamConfig = teamConfig;
+    this.plan = plan;
+    this.statePath = statePath;
+    this.state = this.load();
+    this.owners = loadAssignedOwners();
+  }
+
+  load() {
+    return readScheduleState(this.statePath);
+  }
+
+  getOwner(task) {
+    return this.owners[task.id] || task.owner;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+  }
+
+  getDays(task) {
+    const entry = this.state.tasks[task.id];
+    return entry ? entry.days : task.days;
+  }
+
+  getOwnerHours(owner) {
+    return getOwnerHours(this.teamConfig, owner, this.plan.calendar.hoursPerDay);
+  }
+
+  // Planned effort per scheduled day
+  getDailyEffort(task) {
+    return task.hours / task.days.length;
+  }
+
+  // Hours an owner has committed on a day to tasks that are still open
+  getLoad(owner, day, excludeTaskId = null) {
+    return this.plan.getTasks()
+      .filter(task => this.getOwner(task) === owner && task.id !== excludeTaskId && !this.ledger.isCompleted(task.id))
+      .filter(task => this.getDays(task).includes(day))
+      .reduce((sum, task) => sum + this.getDailyEffort(task), 0);
+  }
+
+  /**
+   * Smallest shift of `days` so that none is before `earliest`, preferring
+   * shifts where the owner has room on every day. Returns { days, overallocated }
+   * or null when the days cannot fit before the end of the phase.
+   */
+  findSlot(task, days, earliest) {
+    const owner = this.getOwner(task);
+    const capacity = this.getOwnerHours(owner);
+    const effort = this.getDailyEffort(task);
+    const minOffset = Math.max(0, earliest - Math.min(...days));
+    const maxOffset = this.plan.totalDays - Math.max(...days);
+    let leastLoaded = null;
+
+    for (let offset = minOffset; offset <= maxOffset; offset++) {
+      const candidate = days.map(day => day + offset);
+      const peak = Math.max(...candidate.map(day => this.getLoad(owner, day, task.id) + effort));
+
+      if (peak <= capacity) return { days: candidate, overallocated: false };
+      if (!leastLoaded || peak < leastLoaded.peak) leastLoaded = { days: candidate, peak };
+    }
+
+    return leastLoaded ? { days: leastLoaded.days, overallocated: true } : null;
+  }
+
+  // Last scheduled day among a task's incomplete dependencies
+  getDependencyDay(task) {
+    return Math.max(0, ...task.deps
+      .map(dep => this.plan.getTask(dep))
+      .filter(dep => dep && !this.ledger.isCompleted(dep.id))
+      .map(dep => Math.max(...this.getDays(dep))));
+  }
+
+  /**
+   * Revises the schedule after the given day's run. Returns the shifts made
+   * (reason failed, blocked, gated, rejected or dependency) and the tasks
+   * that could not be placed before the end of the phase, and persists any
+   * change.
+   */
+  reschedule(day) {
+    const shifts = [];
+    const unplaced = [];
+    const revision = this.state.revision + 1;
+    this.owners = loadAssignedOwners();
+
+    // Dependencies first, so dependents see where their deps moved
+    this.getTopologicalOrder().forEach(task => {
+      const status = this.ledger.getStatus(task.id);
+      if (status === 'completed') return;
+
+      const currentDays = this.getDays(task);
+      const futureDays = currentDays.filter(d => d > day);
+      const earliest = Math.max(day + 1, this.getDependencyDay(task));
+      let reason = null;
+      let days = null;
+
+      if (futureDays.length === 0 && CARRY_STATUSES.includes(status) && currentDays.some(d => d <= day)) {
+        reason = status;
+        days = [earliest];
+      } else if (futureDays.length > 0 && Math.max(...futureDays) < earliest) {
+        reason = 'dependency';
+        days = futureDays;
+      } else {
+        return;
+      }
+
+      const slot = this.findSlot(task, days, earliest);
+      if (!slot) {
+        unplaced.push({ taskId: task.id, name: task.name, owner: this.getOwner(task), reason });
+        return;
+      }
+
+      const shift = {
+        revision,
+        day,
+        taskId: task.id,
+        name: task.name,
+        owner: this.getOwner(task),
+        reason,
+        from: currentDays,
+        to: [...currentDays.filter(d => d <= day), ...slot.days],
+        overallocated: slot.overallocated
+      };
+      this.state.tasks[task.id] = { days: shift.to, originalDays: task.days, revision, reason };
+      shifts.push(shift);
+    });
+
+    if (shifts.length > 0) {
+      this.state.revision = revision;
+      this.state.updatedAt = moment().toISOString();
+      this.state.shifts.push(...shifts);
+      this.save();
+    }
+
+    shifts.forEach(shift => {
+      logger.info(`🔀 Task ${shift.taskId} (${shift.reason}) moved from ${formatDays(shift.from)} to ${formatDays(shift.to)}${shift.overallocated ? ` ⚠️ @${shift.owner} overallocated` : ''}`, { taskId: shift.taskId, reason: shift.reason, from: shift.from, to: shift.to });
+    });
+    unplaced.forEach(entry => {
+      logger.warn(`⚠️  Task ${entry.taskId} (${entry.reason}) cannot be carried past day ${this.plan.totalDays}`, { taskId: entry.taskId });
+    });
+
+    return { revision: this.state.revision, shifts, unplaced, diff: this.diff() };
+  }
+
+  // Tasks whose revised days differ from the plan, in plan order
+  diff() {
+    return this.plan.getTasks()
+      .filter(task => this.state.tasks[task.id])
+      .map(task => ({
+        taskId: task.id,
+        name: task.name,
+        owner: this.getOwner(task),
+        originalDays: task.days,
+        revisedDays: this.state.tasks[task.id].days
+      }));
+  }
+
+  getTopologicalOrder() {
+    const tasks = this.plan.getTasks();
+    const placed = new Set();
+    const order = [];
+
+    // Plans are linted for cycles; a remaining cycle keeps plan order for the rest
+    while (order.length < tasks.length) {
+      const ready = tasks.filter(task => !placed.has(task.id) && task.deps.every(dep => placed.has(dep) || !this.plan.getTask(dep)));
+      const next = ready.length > 0 ? ready : tasks.filter(task => !placed.has(task.id));
+
+      next.forEach(task => {
+        placed.add(task.id);
+        order.push(task);
+      });
+    }
+
+    return order;
+  }
+
+  reset() {
+    this.state = emptyScheduleState();
+    this.save();
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'rescheduler', level: values['log-level'], quiet: values.json });
+
+  const { TaskLedger } = require('./task-ledger');
+  const rescheduler = new Rescheduler({ ledger: new TaskLedger() });
+  const [command = 'diff'] = positionals;
+
+  if (command === 'diff') {
+    const diff = rescheduler.diff();
+    console.log(values.json
+      ? JSON.stringify({ revision: rescheduler.state.revision, diff }, null, 2)
+      : diff.length > 0 ? formatScheduleDiff(diff) : 'No tasks rescheduled');
+    return;
+  }
+
+  if (command === 'reset') {
+    rescheduler.reset();
+    logger.info(`🧹 Revised schedule cleared (${rescheduler.statePath})`);
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}": expected diff or reset`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  Rescheduler,
+  parseWorkingHours,
+  getOwnerHours,
+  formatScheduleDiff,
+  CARRY_STATUSES
+};
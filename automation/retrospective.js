@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Retrospective Reports
+ * Rolls the stored daily reports up into a retrospective at the end of each
+ * week of the phase plan and for the whole phase: planned versus
+ * completed tasks, slipped tasks, per-owner completion and hours from
+ * taskAssignments, failure and block reasons, and a burndown series.
+ *
+ * Completions come from the task ledger, which records approvals on the day
+ * they are decided; everything else comes from reports/daily-report-*.json.
+ * Both keep their history, so any week can be regenerated later:
+ *   node automation/retrospective.js --week 2
+ *   node automation/retrospective.js --phase --notify
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { parseArgs } = require('util');
+const { getDateForDay, getPhasePlan } = require('./task-scheduler');
+const { listReportFiles, readReport } = require('./report-schema');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('retrospective');
+
+const PROBLEM_STATUSES = ['failed', 'blocked', 'gated', 'rejected'];
+
+function getWeekScopes() {
+  return getPhasePlan().weeks.map(week => ({
+    scope: `week${week.week}`,
+    week: week.week,
+    name: week.name,
+    startDay: Math.min(...week.days),
+    endDay: Math.max(...week.days),
+    tasks: week.tasks
+  }));
+}
+
+function getPhaseScope() {
+  const weeks = getWeekScopes();
+  return {
+    scope: 'phase',
+    week: null,
+    name: getPhasePlan().name,
+    startDay: Math.min(...weeks.map(w => w.startDay)),
+    endDay: Math.max(...weeks.map(w => w.endDay)),
+    tasks: weeks.flatMap(w => w.tasks)
+  };
+}
+
+// Retrospectives due after the given day: its week when the week ends, plus the phase on the last day
+function getRetrospectiveScopes(day) {
+  const weekScopes = getWeekScopes().filter(scope => scope.endDay === day);
+  const phase = getPhaseScope();
+  return phase.endDay === day ? [...weekScopes, phase] : weekScopes;
+}
+
+function getAssignment(teamConfig, taskId) {
+  for (const week of Object.values(teamConfig.taskAssignments || {})) {
+    if (week[taskId]) return week[taskId];
+  }
+  return null;
+}
+
+class RetrospectiveBuilder {
+  constructor({ reportsDir = 'reports', teamConfig = {}, ledger = null } = {}) {
+    this.reportsDir = reportsDir;
+    this.teamConfig = teamConfig;
+    this.ledger = ledger;
+  }
+
+  // Day each task of the scope completed, up to the end of the scope
+  getLedgerCompletions(scope, taskIds) {
+    return Object.fromEntries(Object.entries(this.ledger.getCompletionDays())
+      .filter(([taskId, day]) => taskIds.has(taskId) && day <= scope.endDay));
+  }
+
+  // Latest valid daily report per phase day, migrated to the current schema
+  loadDailyReports() {
+    const reports = new Map();
+
+    listReportFiles(this.reportsDir).forEach(filePath => {
+      const { report, valid, errors } = readReport(filePath);
+      if (valid) {
+        reports.set(report.day, report);
+      } else {
+        logger.warn(`⚠️  Skipping invalid daily report ${path.basename(filePath)}: ${errors.join('; ')}`, { file: filePath, errors });
+      }
+    });
+
+    return reports;
+  }
+
+  build(scope) {
+    const reports = this.loadDailyReports();
+    const days = [];
+    for (let day = scope.startDay; day <= scope.endDay; day++) days.push(day);
+
+    const taskIds = new Set(scope.tasks.map(task => task.id));
+    const completedOn = this.ledger ? this.getLedgerCompletions(scope, taskIds) : {};
+    const problems = [];
+
+    // Walk the phase up to the end of the scope so completions carried over from earlier days count
+    for (let day = 1; day <= scope.endDay; day++) {
+      const report = reports.get(day);
+      if (!report) continue;
+
+      report.results.filter(result => taskIds.has(result.taskId)).forEach(result => {
+        if (!this.ledger && result.status === 'completed' && completedOn[result.taskId] === undefined) {
+          completedOn[result.taskId] = day;
+        }
+        if (PROBLEM_STATUSES.includes(result.status) && day >= scope.startDay) {
+          problems.push({
+            taskId: result.taskId,
+            day,
+            status: result.status,
+            reason: result.message || null,
+            classification: result.classification || null
+          });
+        }
+      });
+    }
+
+    const reportedDays = days.filter(day => reports.has(day));
+    const asOfDay = reportedDays.length > 0 ? Math.max(...reportedDays) : scope.startDay - 1;
+
+    const tasks = scope.tasks.map(task => {
+      const assignment = getAssignment(this.teamConfig, task.id) || {};
+      const plannedDay = Math.max(...task.days);
+      const completedDay = completedOn[task.id] === undefined ? null : completedOn[task.id];
+      const slipDays = completedDay !== null ? completedDay - plannedDay : Math.max(asOfDay - plannedDay, 0);
+
+      return {
+        taskId: task.id,
+        name: task.name,
+        owner: assignment.owner || task.owner.toLowerCase(),
+        hours: assignment.estimatedHours || task.hours,
+        plannedDay,
+        completedDay,
+        slipDays: Math.max(slipDays, 0)
+      };
+    });
+
+    const completed = tasks.filter(task => task.completedDay !== null);
+    const plannedHours = tasks.reduce((sum, task) => sum + task.hours, 0);
+
+    return {
+      type: 'retrospective',
+      scope: scope.scope,
+      week: scope.week,
+      name: scope.name,
+      startDay: scope.startDay,
+      endDay: scope.endDay,
+      period: {
+        start: getDateForDay(scope.startDay).format('YYYY-MM-DD'),
+        end: getDateForDay(scope.endDay).format('YYYY-MM-DD')
+      },
+      generatedAt: moment().toISOString(),
+      source: {
+        reportsDir: this.reportsDir,
+        daysReported: reportedDays,
+        daysMissing: days.filter(day => !reports.has(day))
+      },
+      summary: {
+        planned: tasks.length,
+        completed: completed.length,
+        open: tasks.length - completed.length,
+        completionRate: tasks.length > 0 ? Number((completed.length / tasks.length * 100).toFixed(1)) : 0,
+        plannedHours,
+        completedHours: completed.reduce((sum, task) => sum + task.hours, 0),
+        slipped: tasks.filter(task => task.slipDays > 0).length
+      },
+      tasks,
+      slipped: tasks
+        .filter(task => task.slipDays > 0)
+        .map(task => ({ taskId: task.taskId, name: task.name, owner: task.owner, plannedDay: task.plannedDay, completedDay: task.completedDay, slipDays: task.slipDays })),
+      owners: this.summarizeOwners(tasks),
+      problems: {
+        byStatus: PROBLEM_STATUSES.reduce((counts, status) => ({ ...counts, [status]: problems.filter(p => p.status === status).length }), {}),
+        entries: problems
+      },
+      burndown: days.map((day, index) => {
+        const remaining = tasks.filter(task => task.completedDay === null || task.completedDay > day);
+        return {
+          day,
+          date: getDateForDay(day).format('YYYY-MM-DD'),
+          reported: reports.has(day),
+          idealRemainingHours: Math.round(plannedHours * (1 - (index + 1) / days.length) * 10) / 10,
+          remainingHours: day <= asOfDay ? remaining.reduce((sum, task) => sum + task.hours, 0) : null,
+          remainingTasks: day <= asOfDay ? remaining.length : null
+        };
+      })
+    };
+  }
+
+  summarizeOwners(tasks) {
+    const owners = {};
+
+    tasks.forEach(task => {
+      const owner = owners[task.owner] || { planned: 0, completed: 0, plannedHours: 0, completedHours: 0, slipped: 0 };
+      owner.planned += 1;
+      owner.plannedHours += task.hours;
+      if (task.completedDay !== null) {
+        owner.completed += 1;
+        owner.completedHours += task.hours;
+      }
+      if (task.slipDays > 0) owner.slipped += 1;
+      owners[task.owner] = owner;
+    });
+
+    Object.values(owners).forEach(owner => {
+      owner.completionRate = Number((owner.completed / owner.planned * 100).toFixed(1));
+    });
+
+    return owners;
+  }
+
+  write(retrospective) {
+    fs.mkdirSync(this.reportsDir, { recursive: true });
+
+    const reportPath = path.join(this.reportsDir, `retrospective-${retrospective.scope}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(retrospective, null, 2));
+
+    logger.info(`📚 Retrospective written to ${reportPath}`, { scope: retrospective.scope, summary: retrospective.summary });
+    return reportPath;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      week: { type: 'string' },
+      phase: { type: 'boolean', default: false },
+      'reports-dir': { type: 'string', default: 'reports' },
+      notify: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'retrospective', level: values['log-level'] });
+
+  const scope = values.phase
+    ? getPhaseScope()
+    : getWeekScopes().find(s => s.week === parseInt(values.week, 10));
+  if (!scope) {
+    throw new Error(`Pass --phase or --week <${getWeekScopes().map(s => s.week).join('|')}>`);
+  }
+
+  const teamConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'team-assignments.json'), 'utf8'));
+  const { TaskLedger } = require('./task-ledger');
+  const builder = new RetrospectiveBuilder({ reportsDir: values['reports-dir'], teamConfig, ledger: new TaskLedger() });
+  const retrospective = builder.build(scope);
+  builder.write(retrospective);
+
+  if (values.notify) {
+    const { Notifier } = require('./notifier');
+    const { buildRetrospectiveMessage } = require('./slack-blocks');
+    await new Notifier().notify({ type: 'report.retrospective', severity: 'info', message: buildRetrospectiveMessage(retrospective) });
+  }
+
+  console.log(JSON.stringify(retrospective.summary, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  });
+}
+
+module.exports = { RetrospectiveBuilder, getWeekScopes, getPhaseScope, getRetrospectiveScopes };
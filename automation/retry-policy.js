@@ -0,0 +1,87 @@
+/**
+ * HAL Phase 3 - Task Timeout and Retry Policy
+ * Cancels hung task attempts, classifies failures as transient or permanent
+ * and retries transient ones with exponential backoff
+ */
+
+const DEFAULT_RETRY = { maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 30000, factor: 2 };
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+class TaskTimeoutError extends Error {
+  constructor(taskId, timeoutMs) {
+    super(`Task ${taskId} timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = 'TaskTimeoutError';
+    this.transient = true;
+  }
+}
+
+function classifyError(error) {
+  if (error.permanent === true) return 'permanent';
+  if (error.transient === true) return 'transient';
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) return 'transient';
+
+  // HTTP errors from axios, fetch wrappers and the Slack/OpenAI clients
+  const status = error.status || (error.response && error.response.status);
+  if (status === 429 || status >= 500) return 'transient';
+
+  return 'permanent';
+}
+
+class RetryPolicy {
+  constructor({ maxAttempts, baseDelayMs, maxDelayMs, factor, timeoutMs } = {}) {
+    this.maxAttempts = Math.max(1, maxAttempts || DEFAULT_RETRY.maxAttempts);
+    this.baseDelayMs = baseDelayMs !== undefined ? baseDelayMs : DEFAULT_RETRY.baseDelayMs;
+    this.maxDelayMs = maxDelayMs !== undefined ? maxDelayMs : DEFAULT_RETRY.maxDelayMs;
+    this.factor = factor || DEFAULT_RETRY.factor;
+    this.timeoutMs = timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  getDelay(attempt) {
+    return Math.min(this.baseDelayMs * Math.pow(this.factor, attempt - 1), this.maxDelayMs);
+  }
+
+  shouldRetry(classification, attempt) {
+    return classification === 'transient' && attempt < this.maxAttempts;
+  }
+
+  /**
+   * Builds the policy for a task from the `execution` config section.
+   * Task id overrides win over task type overrides, which win over defaults.
+   */
+  static forTask(execution = {}, task, taskType) {
+    const retry = execution.retry || {};
+    const timeouts = execution.timeouts || {};
+    const byTask = (retry.byTask || {})[task.id] || {};
+    const byType = (retry.byType || {})[taskType] || {};
+
+    const timeoutMs = (timeouts.byTask || {})[task.id] ||
+      (timeouts.byType || {})[taskType] ||
+      timeouts.defaultMs;
+
+    return new RetryPolicy({ ...retry, ...byType, ...byTask, timeoutMs });
+  }
+}
+
+/**
+ * Runs fn(signal) and rejects with TaskTimeoutError once timeoutMs elapses.
+ * The signal is aborted on timeout so cooperative handlers can stop their work.
+ */
+function withTimeout(fn, timeoutMs, taskId) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new TaskTimeoutError(taskId, timeoutMs);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([Promise.resolve().then(() => fn(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+module.exports = { RetryPolicy, TaskTimeoutError, classifyError, withTimeout, DEFAULT_RETRY, DEFAULT_TIMEOUT_MS };
@@ -0,0 +1,110 @@
+/**
+ * HAL Phase 3 - Daily Run Checkpoints
+ * Records each task outcome of a daily run as it settles so a re-run of the
+ * same day resumes where the previous attempt stopped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('./logger');
+
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, '..', 'state', 'runs');
+
+const logger = createLogger('run-checkpoint');
+
+function createRunId() {
+  if (process.env.GITHUB_RUN_ID) {
+    return `gh-${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}`;
+  }
+  return uuidv4();
+}
+
+class RunCheckpoint {
+  constructor({ day, week, date, dir = process.env.HAL_CHECKPOINT_DIR || DEFAULT_CHECKPOINT_DIR }) {
+    this.runKey = `${date}-day${day}`;
+    this.filePath = path.join(dir, `${this.runKey}.json`);
+    this.state = this.load({ day, week, date });
+  }
+
+  load(defaults) {
+    if (fs.existsSync(this.filePath)) {
+      try {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        logger.error(`❌ Failed to read checkpoint ${this.filePath}: ${error.message}`, { error });
+      }
+    }
+
+    return { runKey: this.runKey, ...defaults, attempts: [], tasks: {} };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  isResume() {
+    return this.state.attempts.length > 1;
+  }
+
+  startAttempt({ runId = createRunId(), force = false } = {}) {
+    this.runId = runId;
+    this.state.attempts.push({ runId, force, startedAt: moment().toISOString(), finishedAt: null });
+    this.save();
+    return runId;
+  }
+
+  finishAttempt() {
+    const attempt = this.state.attempts.find(a => a.runId === this.runId);
+    if (attempt) attempt.finishedAt = moment().toISOString();
+    this.save();
+  }
+
+  getTask(taskId) {
+    return this.state.tasks[taskId] || null;
+  }
+
+  isTaskCompleted(taskId) {
+    const entry = this.getTask(taskId);
+    // Tasks awaiting approval already ran; re-running them would discard the result under review
+    return Boolean(entry && ['completed', 'awaiting_approval'].includes(entry.result.status));
+  }
+
+  recordTask(result) {
+    const previous = this.getTask(result.taskId);
+
+    this.state.tasks[result.taskId] = {
+      result,
+      runId: this.runId,
+      executions: (previous ? previous.executions : 0) + 1,
+      notified: false,
+      checkpointedAt: moment().toISOString()
+    };
+    this.save();
+  }
+
+  markNotified(taskId) {
+    const entry = this.getTask(taskId);
+    if (!entry) return;
+
+    entry.notified = true;
+    this.save();
+  }
+
+  // Latest result per task across every attempt of this day
+  getMergedTasks() {
+    return Object.entries(this.state.tasks).map(([taskId, entry]) => ({
+      taskId,
+      status: entry.result.status,
+      runId: entry.runId,
+      executions: entry.executions
+    }));
+  }
+}
+
+module.exports = { RunCheckpoint, createRunId, DEFAULT_CHECKPOINT_DIR };
@@ -0,0 +1,69 @@
+/**
+ * HAL Phase 3 - Schedule State
+ * Readers for the state that overrides the phase plan without changing it:
+ * the days revised by the rescheduler (state/schedule.json, HAL_SCHEDULE_PATH)
+ * and the owners applied by the reassignment engine (state/assignments.json,
+ * HAL_ASSIGNMENTS_PATH).
+ *
+ * The scheduler, capacity planner, forecast and report migration read them
+ * from here; rescheduler.js and reassignment.js write them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('schedule-state');
+
+const DEFAULT_SCHEDULE_PATH = path.join(__dirname, '..', 'state', 'schedule.json');
+const DEFAULT_ASSIGNMENTS_PATH = path.join(__dirname, '..', 'state', 'assignments.json');
+
+function emptyScheduleState() {
+  return { version: 1, revision: 0, updatedAt: null, tasks: {}, shifts: [] };
+}
+
+function emptyAssignmentState() {
+  return { version: 1, updatedAt: null, tasks: {}, changes: [] };
+}
+
+function readState(filePath, empty, description) {
+  if (!fs.existsSync(filePath)) return empty();
+
+  try {
+    return { ...empty(), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    logger.error(`❌ Failed to read ${description} ${filePath}: ${error.message}`, { error });
+    return empty();
+  }
+}
+
+function readScheduleState(filePath = process.env.HAL_SCHEDULE_PATH || DEFAULT_SCHEDULE_PATH) {
+  return readState(filePath, emptyScheduleState, 'revised schedule');
+}
+
+function readAssignmentState(filePath = process.env.HAL_ASSIGNMENTS_PATH || DEFAULT_ASSIGNMENTS_PATH) {
+  return readState(filePath, emptyAssignmentState, 'reassignments');
+}
+
+// Revised days by task id, for tasks that no longer run on their planned days
+function loadRevisedDays(filePath) {
+  const { tasks } = readScheduleState(filePath);
+  return Object.fromEntries(Object.entries(tasks).map(([taskId, entry]) => [taskId, entry.days]));
+}
+
+// Current owner by task id, for tasks no longer owned by their plan owner
+function loadAssignedOwners(filePath) {
+  const { tasks } = readAssignmentState(filePath);
+  return Object.fromEntries(Object.entries(tasks).map(([taskId, entry]) => [taskId, entry.owner]));
+}
+
+module.exports = {
+  readScheduleState,
+  readAssignmentState,
+  loadRevisedDays,
+  loadAssignedOwners,
+  emptyScheduleState,
+  emptyAssignmentState,
+  DEFAULT_SCHEDULE_PATH,
+  DEFAULT_ASSIGNMENTS_PATH
+};
@@ -0,0 +1,333 @@
+/**
+ * HAL Phase 3 - Slack Block Kit Builder
+ * Builds the engine's start, task, daily report, alert, retrospective,
+ * reassignment, quality gate and approval reminder messages as Block Kit, in the same header/section/context layout as the n8n
+ * daily summary.
+ *
+ * Slack rejects messages over its limits, so every builder truncates text to
+ * LIMITS and caps messages at 50 blocks. Alerts are split across several
+ * messages instead of being cut. Each message keeps a top-level `text` as the
+ * plain-text fallback for notifications and non-Block Kit clients.
+ *
+ * Golden files: templates/examples/engine-*.sample.json, checked by
+ * tests/slack-blocks.test.js.
+ */
+
+const moment = require('moment');
+const { formatScheduleDiff } = require('./rescheduler');
+
+const LIMITS = {
+  blocks: 50,
+  headerText: 150,
+  sectionText: 3000,
+  fieldText: 2000,
+  fieldsPerSection: 10,
+  contextElements: 10
+};
+
+const STATUS_EMOJI = {
+  completed: '✅',
+  failed: '❌',
+  blocked: '⏸️',
+  gated: '🚧',
+  awaiting_approval: '🖐️',
+  rejected: '👎'
+};
+
+const FOOTER = 'Generated by HAL Phase 3 Automation System';
+
+const FORECAST_EMOJI = {
+  on_track: '🟢',
+  at_risk: '🟡',
+  late: '🔴'
+};
+
+function truncate(text, max) {
+  const value = String(text);
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function header(text) {
+  return { type: 'header', text: { type: 'plain_text', text: truncate(text, LIMITS.headerText) } };
+}
+
+function section(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text: truncate(text, LIMITS.sectionText) } };
+}
+
+// One section per 10 fields; each field is rendered as "*Title*\nvalue"
+function fieldSections(fields) {
+  const sections = [];
+
+  for (let i = 0; i < fields.length; i += LIMITS.fieldsPerSection) {
+    sections.push({
+      type: 'section',
+      fields: fields.slice(i, i + LIMITS.fieldsPerSection).map(([title, value]) => ({
+        type: 'mrkdwn',
+        text: truncate(`*${title}*\n${value}`, LIMITS.fieldText)
+      }))
+    });
+  }
+
+  return sections;
+}
+
+function divider() {
+  return { type: 'divider' };
+}
+
+function context(...texts) {
+  return {
+    type: 'context',
+    elements: texts.slice(0, LIMITS.contextElements).map(text => ({ type: 'mrkdwn', text: truncate(text, LIMITS.sectionText) }))
+  };
+}
+
+// Caps a message at the block limit, noting how many blocks were dropped
+function message(text, blocks) {
+  if (blocks.length <= LIMITS.blocks) return { text, blocks };
+
+  const kept = blocks.slice(0, LIMITS.blocks - 1);
+  return { text, blocks: [...kept, context(`_${blocks.length - kept.length} more blocks omitted (Slack limit of ${LIMITS.blocks})_`)] };
+}
+
+function formatAttempts(attempts) {
+  return attempts.map(a => a.status === 'failed'
+    ? `#${a.attempt} failed (${a.classification}, ${a.duration}s): ${a.error}`
+    : `#${a.attempt} completed (${a.duration}s)`
+  ).join('\n');
+}
+
+function buildRunStartedMessage({ day, week, totalDays, tasksToday, resumed = false, attempt = 1, remaining = tasksToday }) {
+  const title = resumed ? '🔁 HAL Phase 3 Daily Execution Resumed' : '🌅 HAL Phase 3 Daily Execution Started';
+
+  return message(`${title} - Day ${day}/${totalDays}`, [
+    header(title),
+    ...fieldSections([
+      ['Phase Day', `${day}/${totalDays}`],
+      ['Current Week', String(week)],
+      ['Tasks Today', String(tasksToday)],
+      ['Status', resumed ? `🔄 Resuming (attempt ${attempt}, ${remaining} remaining)` : '🔄 Starting Execution']
+    ])
+  ]);
+}
+
+function buildTaskMessage(task, result) {
+  const emoji = STATUS_EMOJI[result.status] || 'ℹ️';
+  const status = result.classification ? `${result.status} (${result.classification})` : result.status;
+  const attempts = result.attempts || [];
+
+  const blocks = [
+    section(`${emoji} *Task ${task.id}: ${task.name}*`),
+    ...fieldSections([
+      ['Owner', `@${task.owner}`],
+      ['Status', status],
+      ['Duration', `${result.duration}s`],
+      ['Day', `${task.day} (week ${task.scheduledWeek || task.week})`]
+    ]),
+    section(`*Message*\n${result.message}`)
+  ];
+
+  if (attempts.length > 1 || attempts.some(a => a.status === 'failed')) {
+    blocks.push(section(`*Attempts*\n${formatAttempts(attempts)}`));
+  }
+
+  return message(`${emoji} Task ${task.id} ${status}: ${task.name}`, blocks);
+}
+
+function formatForecastLine(forecast) {
+  const timing = forecast.slipDays > 0 ? `${forecast.slipDays} day(s) late` : 'on time';
+  const atRisk = forecast.atRisk.length > 0 ? forecast.atRisk.join(', ') : 'none';
+  return `${FORECAST_EMOJI[forecast.status]} *Forecast:* completes day ${forecast.completionDay} (${forecast.completionDate}), ${timing} • *Critical path:* ${forecast.criticalPath.join(' → ') || '-'} • *At risk:* ${atRisk}`;
+}
+
+// Shifts made after this run, with the diff of every revised task as a code block
+function formatRescheduleSection(reschedule) {
+  const moved = reschedule.shifts.map(shift => `${shift.taskId} (${shift.reason}${shift.overallocated ? `, @${shift.owner} overallocated` : ''})`);
+  const unplaced = reschedule.unplaced.map(entry => `${entry.taskId} (${entry.reason})`);
+
+  return [
+    `🔀 *Rescheduled (revision ${reschedule.revision}):* ${moved.join(', ') || 'none'}`,
+    ...(unplaced.length > 0 ? [`⚠️ *Cannot be carried past the last day:* ${unplaced.join(', ')}`] : []),
+    '```',
+    formatScheduleDiff(reschedule.diff),
+    '```'
+  ].join('\n');
+}
+
+function buildDailyReportMessage(report, { totalDays }) {
+  const daysRemaining = totalDays - report.day;
+  const progressPercent = Math.round((report.day / totalDays) * 100);
+  const pendingApprovals = report.pendingApprovals || [];
+  const title = `📊 HAL Phase 3 Daily Report - Day ${report.day}/${totalDays}`;
+
+  const blocks = [
+    header(title),
+    section(`*Today:* ${report.summary.completed}/${report.summary.total} tasks completed • *Success Rate:* ${report.summary.successRate}%`),
+    ...(report.forecast ? [section(formatForecastLine(report.forecast))] : []),
+    ...(report.reschedule && (report.reschedule.shifts.length > 0 || report.reschedule.unplaced.length > 0) ? [section(formatRescheduleSection(report.reschedule))] : []),
+    ...fieldSections([
+      ['Progress', `${progressPercent}% (${daysRemaining} days remaining)`],
+      ['Phase Tasks', `${report.progress.tasksCompleted}/${report.progress.tasksTotal} completed`],
+      ['Efficiency', report.performance.efficiency === null ? 'No data' : `${report.performance.efficiency}%`],
+      ['Total Time', `${report.performance.totalTime} minutes`],
+      ['Tomorrow', `${report.nextDay.scheduledTasks} tasks scheduled`],
+      ['Execution', `${report.execution.real.length} real, ${report.execution.simulated.length} simulated`],
+      ['Pending Approvals', pendingApprovals.length > 0 ? pendingApprovals.map(a => `${a.taskId} (@${a.owner})`).join(', ') : 'None']
+    ])
+  ];
+
+  if (report.clockOverride) {
+    blocks.push(context(`🕰️ Clock override (${report.clockOverride.source}): day ${report.clockOverride.day || '-'}, date ${report.clockOverride.date || '-'}`));
+  }
+
+  blocks.push(divider(), context(`${FOOTER} • ${report.date}`));
+
+  return message(`${title}: ${report.summary.completed}/${report.summary.total} tasks completed (${report.summary.successRate}%)`, blocks);
+}
+
+/**
+ * Owners changed because of an absence (or, in propose mode, the suggested
+ * substitutes), mentioning both the absent owner and the new one.
+ */
+function buildReassignmentMessage({ day, changes = [], proposals = [] }) {
+  const title = `🔁 Task Reassignments - Day ${day}`;
+  const lines = [
+    ...changes.map(change => `• *${change.taskId}* ${change.name}: @${change.from} → @${change.to} (${change.reason})`),
+    ...proposals.map(proposal => `• ${proposal.substitute ? '' : '⚠️ '}*${proposal.taskId}* ${proposal.name}: @${proposal.owner} is away on day(s) ${proposal.absentDays.join(', ')} (${proposal.absence}) • ${proposal.substitute ? `suggested @${proposal.substitute}` : 'no available substitute'}`)
+  ];
+
+  return message(`${title}: ${changes.length} reassigned, ${proposals.length} awaiting a decision`, [
+    header(title),
+    section(lines.join('\n')),
+    context(proposals.length > 0 ? `${FOOTER} • Apply with \`npm run reassign -- assign <task-id> <member>\`` : FOOTER)
+  ]);
+}
+
+// Result of a gate evaluation, with the held weeks and tasks and how to override when it failed
+function buildGateMessage(gate, evaluation) {
+  const passed = evaluation.status !== 'failed';
+  const title = `🚦 Quality Gate ${passed ? 'Passed' : 'Failed'}: ${gate.name}`;
+  const criteria = evaluation.criteria || [];
+  const holds = gate.holds || {};
+  const blocks = [
+    header(title),
+    ...fieldSections([
+      ['Gate', `${gate.name} (${gate.id})`],
+      ['Checkpoint Task', gate.checkpointTask],
+      ['Status', evaluation.status]
+    ])
+  ];
+
+  if (criteria.length > 0) {
+    blocks.push(section(criteria.map(c => `${c.passed ? '✅' : '❌'} *${c.type}*: ${c.detail}`).join('\n')));
+  }
+  if (!passed) {
+    blocks.push(section(`*Held*\n${[...(holds.weeks || []).map(w => `week ${w}`), ...(holds.tasks || [])].join(', ')}`));
+  }
+  blocks.push(context(passed ? FOOTER : `${FOOTER} • Override with \`node automation/quality-gates.js override ${gate.id} --by <name> --reason <text>\``));
+
+  return message(title, blocks);
+}
+
+// Approvals still unanswered, one section each; `now` fixes the "waiting since" times
+function buildApprovalReminderMessage(approvals, { now = moment() } = {}) {
+  const title = `🖐️ Reminder: ${approvals.length} tasks awaiting approval`;
+
+  return message(title, [
+    header(title),
+    ...approvals.map(approval => section([
+      `*${approval.taskId}* ${approval.name} • @${approval.owner}`,
+      `Waiting since day ${approval.day} (${moment(approval.requestedAt).from(now)}) • Approvers: ${approval.approvers.map(a => `@${a}`).join(', ') || 'any'}`
+    ].join('\n'))),
+    context(`${FOOTER} • Decide with \`node automation/approvals.js approve|reject <task-id> --by <approver>\``)
+  ]);
+}
+
+/**
+ * One section per alert. Returns several messages when the alerts do not fit
+ * in one, each with its own header and "(part n/m)" fallback text.
+ */
+function buildAlertMessages(alerts) {
+  const title = `🚨 Alert: ${alerts.length} tasks need attention`;
+  const perMessage = LIMITS.blocks - 1;
+
+  const sections = alerts.map(alert => {
+    const lines = [
+      `${STATUS_EMOJI[alert.status] || '⚠️'} *${alert.taskId}* • ${alert.status} • @${alert.owner}`,
+      alert.message
+    ];
+    if ((alert.attempts || []).length > 0) lines.push(formatAttempts(alert.attempts));
+    return section(lines.join('\n'));
+  });
+
+  const messages = [];
+  for (let i = 0; i < sections.length; i += perMessage) {
+    messages.push(sections.slice(i, i + perMessage));
+  }
+
+  return messages.map((chunk, index) => {
+    const part = messages.length > 1 ? ` (part ${index + 1}/${messages.length})` : '';
+    return message(`${title}${part}`, [header(`${title}${part}`), ...chunk]);
+  });
+}
+
+function buildRetrospectiveMessage(retro) {
+  const title = retro.scope === 'phase' ? `📚 ${retro.name} Retrospective` : `📚 Week ${retro.week} Retrospective - ${retro.name}`;
+  const { summary } = retro;
+
+  const blocks = [
+    header(title),
+    section(`*Completed:* ${summary.completed}/${summary.planned} tasks (${summary.completionRate}%) • *Hours:* ${summary.completedHours}/${summary.plannedHours} • *Slipped:* ${summary.slipped}`),
+    ...fieldSections(Object.entries(retro.owners).map(([owner, stats]) => [
+      `@${owner}`,
+      `${stats.completed}/${stats.planned} tasks • ${stats.completedHours}/${stats.plannedHours}h`
+    ]))
+  ];
+
+  if (retro.slipped.length > 0) {
+    blocks.push(section(`*Slipped Tasks*\n${retro.slipped.map(task =>
+      `• ${task.taskId} ${task.name} (@${task.owner}): +${task.slipDays}d${task.completedDay === null ? ' (still open)' : ''}`
+    ).join('\n')}`));
+  }
+
+  const problemCounts = Object.entries(retro.problems.byStatus).filter(([, count]) => count > 0);
+  if (problemCounts.length > 0) {
+    blocks.push(section(`*Failures & Blocks:* ${problemCounts.map(([status, count]) => `${STATUS_EMOJI[status]} ${status}: ${count}`).join(' • ')}\n${retro.problems.entries
+      .filter(entry => entry.reason)
+      .map(entry => `• Day ${entry.day} ${entry.taskId} ${entry.status}: ${entry.reason}`)
+      .join('\n')}`));
+  }
+
+  blocks.push(section(`*Burndown (hours remaining)*\n${retro.burndown
+    .filter(point => point.remainingHours !== null)
+    .map(point => `D${point.day} ${point.remainingHours}h (ideal ${point.idealRemainingHours}h)`)
+    .join(' • ') || 'No daily reports for this period'}`));
+
+  blocks.push(divider(), context(`${FOOTER} • ${retro.period.start} – ${retro.period.end}`));
+
+  return message(`${title}: ${summary.completed}/${summary.planned} tasks completed, ${summary.slipped} slipped`, blocks);
+}
+
+module.exports = {
+  LIMITS,
+  STATUS_EMOJI,
+  truncate,
+  header,
+  section,
+  fieldSections,
+  divider,
+  context,
+  message,
+  formatAttempts,
+  formatForecastLine,
+  formatRescheduleSection,
+  buildRunStartedMessage,
+  buildTaskMessage,
+  buildDailyReportMessage,
+  buildAlertMessages,
+  buildRetrospectiveMessage,
+  buildReassignmentMessage,
+  buildGateMessage,
+  buildApprovalReminderMessage
+};
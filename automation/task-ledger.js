@@ -0,0 +1,146 @@
+/**
+ * HAL Phase 3 - Task State Ledger
+ * Durable, file-backed record of every task execution result by task id and day
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { createLogger } = require('./logger');
+
+const DEFAULT_LEDGER_PATH = path.join(__dirname, '..', 'state', 'task-ledger.json');
+
+const logger = createLogger('task-ledger');
+
+class TaskLedger {
+  constructor(filePath = process.env.HAL_LEDGER_PATH || DEFAULT_LEDGER_PATH) {
+    this.filePath = filePath;
+    this.state = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.state = { version: 1, tasks: {} };
+      return this.state;
+    }
+
+    try {
+      this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`❌ Failed to read task ledger ${this.filePath}: ${error.message}`, { error });
+      this.state = { version: 1, tasks: {} };
+    }
+
+    if (!this.state.tasks) this.state.tasks = {};
+    return this.state;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temp file first so a crashed run never leaves a truncated ledger
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Re-reads the file first: the engine, the CLIs and the dashboard all record results
+  recordResult(result, { day, week, date = moment().format('YYYY-MM-DD') } = {}) {
+    this.load();
+    const entry = {
+      day,
+      week,
+      date,
+      status: result.status,
+      message: result.message,
+      duration: result.duration,
+      owner: result.owner,
+      mode: result.mode,
+      artifacts: result.artifacts || [],
+      output: result.output,
+      classification: result.classification,
+      attempts: result.attempts || [],
+      approval: result.approval,
+      recordedAt: moment().toISOString()
+    };
+
+    const record = this.state.tasks[result.taskId] || { history: [] };
+    record.status = result.status;
+    record.lastDay = day;
+    record.updatedAt = entry.recordedAt;
+    record.history.push(entry);
+
+    this.state.tasks[result.taskId] = record;
+    this.save();
+
+    return entry;
+  }
+
+  getStatus(taskId) {
+    const record = this.state.tasks[taskId];
+    return record ? record.status : 'pending';
+  }
+
+  isCompleted(taskId) {
+    return this.getStatus(taskId) === 'completed';
+  }
+
+  getLatestEntry(taskId) {
+    const record = this.state.tasks[taskId];
+    return record && record.history.length > 0 ? record.history[record.history.length - 1] : null;
+  }
+
+  getMissingDependencies(deps = []) {
+    return deps.filter(dep => !this.isCompleted(dep));
+  }
+
+  // Artifacts and output from the latest completed run of each dependency
+  getDependencyOutputs(deps = []) {
+    const outputs = {};
+
+    deps.forEach(dep => {
+      const record = this.state.tasks[dep];
+      if (!record) return;
+
+      const completed = record.history.filter(entry => entry.status === 'completed');
+      if (completed.length === 0) return;
+
+      const latest = completed[completed.length - 1];
+      outputs[dep] = { artifacts: latest.artifacts || [], output: latest.output };
+    });
+
+    return outputs;
+  }
+
+  getCompletedTasks() {
+    return Object.keys(this.state.tasks).filter(taskId => this.isCompleted(taskId));
+  }
+
+  getCompletedCount() {
+    return this.getCompletedTasks().length;
+  }
+
+  // Phase day each completed task first completed on (for approved tasks, the day of the approval)
+  getCompletionDays() {
+    return Object.fromEntries(this.getCompletedTasks().map(taskId => {
+      const entry = this.state.tasks[taskId].history.find(e => e.status === 'completed');
+      return [taskId, entry ? entry.day : this.state.tasks[taskId].lastDay];
+    }));
+  }
+
+  // Latest recorded entry per task for the given phase day
+  getResultsForDay(day) {
+    const results = [];
+
+    Object.entries(this.state.tasks).forEach(([taskId, record]) => {
+      const entries = record.history.filter(entry => entry.day === day);
+      if (entries.length > 0) {
+        results.push({ taskId, ...entries[entries.length - 1] });
+      }
+    });
+
+    return results;
+  }
+}
+
+module.exports = { TaskLedger, DEFAULT_LEDGER_PATH };
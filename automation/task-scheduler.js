@@ -2,121 +2,319 @@
 
 /**
  * HAL Phase 3 - Daily Task Scheduler
- * Determines which tasks should execute based on date and dependencies
+ * Determines which tasks should execute based on date and dependencies,
+ * using the weeks and tasks of the phase plan (config/phase-plan.json), the
+ * days revised by the rescheduler (state/schedule.json) and the owners
+ * applied by the reassignment engine (state/assignments.json)
+ *
+ * Usage:
+ *   node automation/task-scheduler.js [today] [--day <n> | --date <YYYY-MM-DD>]
+ *   node automation/task-scheduler.js day <n>
+ *   node automation/task-scheduler.js task <id>
+ *   node automation/task-scheduler.js owner <name>
+ *   node automation/task-scheduler.js graph [dot|gantt]
+ *   node automation/task-scheduler.js forecast [--reports-dir <dir>]
+ *   node automation/task-scheduler.js capacity [--rebalance]
+ *
+ * Every command accepts --format text|json. `today` and `day` also write
+ * day, week and tasks to $GITHUB_OUTPUT when it is set.
  */
 
-const moment = require('moment');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { createClock, getClock, setClock } = require('./clock');
+const { createLogger, configureLogging } = require('./logger');
+const { getPhasePlan } = require('./phase-plan');
+const { loadRevisedDays, loadAssignedOwners } = require('./schedule-state');
+const { buildCapacityReport, formatCapacityReport } = require('./capacity');
+const { analyzeSchedule, traceCriticalPath, buildForecast, formatForecast, loadDailyReports } = require('./forecast');
+const { buildPlanGraph, toDot, toMermaidGantt } = require('./plan-graph');
+const { TaskLedger } = require('./task-ledger');
 
-// Phase 3 start date (October 1, 2025)
-const PHASE_START = moment('2025-10-01');
-const TARGET_COMPLETION = moment('2025-10-01').add(18, 'days');
-
-const TASKS = {
-  week1: {
-    name: 'Memory Management Foundation',
-    days: [1, 2, 3, 4, 5, 6, 7],
-    tasks: [
-      { id: '1.1', name: 'Schema Design', owner: 'Aria', hours: 4, days: [1, 2], deps: [] },
-      { id: '1.2', name: 'Vector Storage Research', owner: 'Mira', hours: 4, days: [1, 2], deps: ['1.1'] },
-      { id: '1.3', name: 'Memory Scoping Framework', owner: 'Lex', hours: 6, days: [1, 2], deps: ['1.1'] },
-      { id: '2.1', name: 'Embeddings Service Setup', owner: 'Mira', hours: 6, days: [3, 4], deps: ['1.2'] },
-      { id: '2.2', name: 'Semantic Search Engine', owner: 'Mira', hours: 8, days: [3, 4], deps: ['2.1'] },
-      { id: '2.3', name: 'Memory Indexing System', owner: 'Aria', hours: 4, days: [3, 4], deps: ['2.1'] },
-      { id: '3.1', name: 'Airtable Memory Integration', owner: 'Aria', hours: 6, days: [5, 6], deps: ['1.1', '1.3'] },
-      { id: '3.2', name: 'Memory Access Controls', owner: 'Lex', hours: 4, days: [5, 6], deps: ['3.1'] },
-      { id: '3.3', name: 'Memory Retrieval Optimization', owner: 'Mira', hours: 6, days: [5, 6], deps: ['2.2', '3.1'] },
-      { id: '4.1', name: 'Memory Service Integration Testing', owner: 'Zane', hours: 8, days: [7], deps: ['3.1', '3.2', '3.3'] }
-    ]
-  },
-  week2: {
-    name: 'Guardrails and Safety Systems',
-    days: [8, 9, 10, 11, 12],
-    tasks: [
-      { id: '5.1', name: 'Policy Framework Design', owner: 'Lex', hours: 6, days: [8, 9], deps: [] },
-      { id: '5.2', name: 'LLM Judge Configuration', owner: 'Lex', hours: 4, days: [8, 9], deps: ['5.1'] },
-      { id: '5.3', name: 'Escalation Workflow Design', owner: 'Lex', hours: 4, days: [8, 9], deps: ['5.1'] },
-      { id: '6.1', name: 'Input Sanitization Pipeline', owner: 'Lex', hours: 6, days: [10, 11], deps: ['5.2'] },
-      { id: '6.2', name: 'Output Filtering System', owner: 'Lex', hours: 6, days: [10, 11], deps: ['5.2'] },
-      { id: '6.3', name: 'Real-time Safety Validation', owner: 'Lex', hours: 8, days: [10, 11], deps: ['6.1', '6.2'] },
-      { id: '7.1', name: 'CI Integration Enhancement', owner: 'Kai', hours: 4, days: [12], deps: ['6.3'] },
-      { id: '7.2', name: 'Safety Metrics Dashboard', owner: 'Kai', hours: 4, days: [12], deps: ['6.3'] }
-    ]
-  },
-  week3: {
-    name: 'Performance Tracking and Integration',
-    days: [13, 14, 15, 16, 17, 18],
-    tasks: [
-      { id: '8.1', name: 'Performance Metrics Schema', owner: 'Aria', hours: 4, days: [13, 14], deps: [] },
-      { id: '8.2', name: 'Task Outcome Tracking', owner: 'Zane', hours: 6, days: [13, 14], deps: ['8.1'] },
-      { id: '8.3', name: 'Quality Assessment Framework', owner: 'Zane', hours: 6, days: [13, 14], deps: ['8.1'] },
-      { id: '9.1', name: 'Real-time Performance Dashboard', owner: 'Kai', hours: 8, days: [15, 16], deps: ['8.2'] },
-      { id: '9.2', name: 'Drift Detection System', owner: 'Mira', hours: 6, days: [15, 16], deps: ['8.2', '8.3'] },
-      { id: '9.3', name: 'Automated Alerting System', owner: 'Kai', hours: 4, days: [15, 16], deps: ['9.2'] },
-      { id: '10.1', name: 'End-to-End Integration Testing', owner: 'Zane', hours: 12, days: [17, 18], deps: ['9.1', '9.2', '9.3'] },
-      { id: '10.2', name: 'Performance Validation', owner: 'Zane', hours: 4, days: [17, 18], deps: ['10.1'] },
-      { id: '10.3', name: 'Security and Safety Testing', owner: 'Lex', hours: 4, days: [17, 18], deps: ['10.1'] },
-      { id: '10.4', name: 'User Acceptance Testing', owner: 'Lena', hours: 4, days: [17, 18], deps: ['10.2'] }
-    ]
+const logger = createLogger('task-scheduler');
+
+const TEAM_CONFIG_PATH = path.join(__dirname, '..', 'config', 'team-assignments.json');
+
+// Weeks, tasks and the working-day calendar come from the phase plan file
+const plan = getPhasePlan();
+const calendar = plan.calendar;
+
+// Phase working day of a calendar date (weekends and holidays do not count)
+function getWorkingDay(date) {
+  return calendar.getWorkingDay(date);
+}
+
+function getDateForDay(day) {
+  return calendar.getDateForDay(day);
+}
+
+function getCurrentPhaseDay(clock = getClock()) {
+  // createClock has already rejected target days outside the plan
+  if (clock.targetDay !== null) {
+    return clock.targetDay;
   }
-};
+  
+  return Math.min(Math.max(getWorkingDay(getToday(clock)), 1), plan.totalDays);
+}
+
+// Today's date in the calendar's timezone, or the --date / HAL_TARGET_DATE override
+function getToday(clock = getClock()) {
+  return clock.targetDate ? calendar.toDate(clock.targetDate) : calendar.today();
+}
 
-function getCurrentPhaseDay() {
-  const now = moment();
-  const daysSinceStart = now.diff(PHASE_START, 'days') + 1;
-  return Math.min(Math.max(daysSinceStart, 1), 18);
+// Whether the clock's date is a working day; a --day override always is
+function isWorkingToday(clock = getClock()) {
+  return clock.targetDay !== null || calendar.isWorkingDate(getToday(clock));
+}
+
+// Calendar date a run represents: the target day's date when re-running a day
+function getRunDate(clock = getClock()) {
+  return clock.targetDay !== null ? getDateForDay(getCurrentPhaseDay(clock)) : getToday(clock);
 }
 
 function getCurrentWeek(day) {
-  if (day <= 7) return 1;
-  if (day <= 12) return 2;
-  return 3;
+  return plan.getWeekForDay(day);
+}
+
+// Following phase day, capped at the last day of the plan
+function getNextDay(day) {
+  return Math.min(day + 1, plan.totalDays);
 }
 
+// Tasks scheduled on a day, including tasks carried forward from earlier weeks.
+// `week` stays the plan week, which quality gate holds key on; `scheduledWeek` is the week of `day`
 function getTasksForDay(day) {
   const week = getCurrentWeek(day);
-  const weekKey = `week${week}`;
+  const revisedDays = loadRevisedDays();
+  const owners = loadAssignedOwners();
   
-  if (!TASKS[weekKey]) return [];
-  
-  return TASKS[weekKey].tasks.filter(task => 
-    task.days.includes(day)
+  return plan.getTasks().filter(task => 
+    (revisedDays[task.id] || task.days).includes(day)
   ).map(task => ({
     ...task,
-    week,
+    owner: owners[task.id] || task.owner,
+    originalOwner: task.owner,
+    days: revisedDays[task.id] || task.days,
+    rescheduled: Boolean(revisedDays[task.id]),
+    reassigned: Boolean(owners[task.id]),
+    scheduledWeek: week,
     day,
     taskId: `${task.id}-${task.name.toLowerCase().replace(/\s+/g, '-')}`
   }));
 }
 
-function main() {
-  const currentDay = getCurrentPhaseDay();
-  const currentWeek = getCurrentWeek(currentDay);
-  const tasksForToday = getTasksForDay(currentDay);
+function loadTeamConfig() {
+  return fs.existsSync(TEAM_CONFIG_PATH) ? JSON.parse(fs.readFileSync(TEAM_CONFIG_PATH, 'utf8')) : {};
+}
+
+// Owner daily load against working hours, from the plan and the revised schedule
+function getCapacityReport({ rebalance = false } = {}) {
+  return buildCapacityReport({ plan, teamConfig: loadTeamConfig(), revisedDays: loadRevisedDays(), owners: loadAssignedOwners(), rebalance });
+}
+
+// Appends name=value lines to the step outputs file when running on GitHub Actions
+function writeGithubOutput(outputs) {
+  if (!process.env.GITHUB_OUTPUT) return;
   
-  const output = {
-    currentDay,
-    currentWeek,
-    totalTasks: tasksForToday.length,
-    tasks: tasksForToday.map(t => t.taskId),
-    taskDetails: tasksForToday
+  const lines = Object.entries(outputs).map(([name, value]) => `${name}=${value}`);
+  fs.appendFileSync(process.env.GITHUB_OUTPUT, `${lines.join('\n')}\n`);
+}
+
+function getLedgerStatuses() {
+  const ledger = new TaskLedger();
+  return Object.fromEntries(plan.getTasks().map(task => [task.id, ledger.getStatus(task.id)]));
+}
+
+function formatTaskLine(task) {
+  const deps = task.deps.length > 0 ? ` (after ${task.deps.join(', ')})` : '';
+  const owner = task.reassigned ? `${task.owner} (for ${task.originalOwner})` : task.owner;
+  return `  ${task.rescheduled ? '🔀' : '•'} ${task.id} ${task.name} - ${owner}, ${task.hours}h${deps}`;
+}
+
+function describeDay(day) {
+  const tasks = getTasksForDay(day);
+  return {
+    day,
+    week: getCurrentWeek(day),
+    date: getDateForDay(day).format('YYYY-MM-DD'),
+    totalTasks: tasks.length,
+    tasks: tasks.map(t => t.taskId),
+    taskDetails: tasks
   };
+}
+
+function formatDay({ day, week, date, taskDetails }) {
+  return [
+    `📅 Day ${day}/${plan.totalDays} - Week ${week} - ${date}`,
+    ...(taskDetails.length > 0 ? taskDetails.map(formatTaskLine) : ['  No tasks scheduled'])
+  ].join('\n');
+}
+
+// Subcommands: each returns { result, text } for --format json and text
+const COMMANDS = {
+  // Today's tasks (or --day / --date), also written to $GITHUB_OUTPUT
+  today(args, values) {
+    const clock = setClock(createClock(values));
+    const currentDay = getCurrentPhaseDay(clock);
+    const workingDay = isWorkingToday(clock);
+    const date = getRunDate(clock).format('YYYY-MM-DD');
+    const { week, tasks, taskDetails } = workingDay ? describeDay(currentDay) : { week: getCurrentWeek(currentDay), tasks: [], taskDetails: [] };
+    
+    if (clock.isOverridden()) {
+      logger.info(`Clock override (${clock.source}): ${JSON.stringify(clock.describe())}`, { clockOverride: clock.describe() });
+    }
+    if (workingDay) {
+      getCapacityReport().overallocations.filter(entry => entry.day === currentDay).forEach(entry => {
+        logger.warn(`⚠️  ${entry.owner} is overallocated today: ${entry.load}h of ${entry.capacity}h on ${entry.tasks.join(', ')}`, { owner: entry.owner, load: entry.load, capacity: entry.capacity });
+      });
+    }
+    
+    writeGithubOutput({ tasks: tasks.join(','), week, day: currentDay, date, working_day: workingDay, total_days: plan.totalDays });
+    
+    const result = { date, currentDay, currentWeek: week, workingDay, totalTasks: tasks.length, tasks, taskDetails };
+    const text = workingDay
+      ? formatDay({ day: currentDay, week, date, taskDetails })
+      : `🏖️  ${date} is not a working day (${calendar.describeNonWorkingDate(date)}): nothing scheduled`;
+    return { result, text };
+  },
+  
+  day([value]) {
+    const day = Number(value);
+    if (!Number.isInteger(day) || day < 1 || day > plan.totalDays) {
+      throw new Error(`Expected a phase day between 1 and ${plan.totalDays}, got "${value}"`);
+    }
+    
+    const result = describeDay(day);
+    writeGithubOutput({ tasks: result.tasks.join(','), week: result.week, day, date: result.date });
+    return { result, text: formatDay(result) };
+  },
+  
+  // Dependencies, dependents, owner and schedule of one task
+  task([taskId]) {
+    const task = plan.getTask(taskId);
+    if (!task) throw new Error(`Unknown task "${taskId}"`);
+    
+    const statuses = getLedgerStatuses();
+    const revisedDays = loadRevisedDays()[task.id] || null;
+    const owners = loadAssignedOwners();
+    const summarize = t => ({ id: t.id, name: t.name, owner: owners[t.id] || t.owner, days: t.days, status: statuses[t.id] });
+    const result = {
+      ...summarize(task),
+      originalOwner: task.owner,
+      hours: task.hours,
+      week: task.week,
+      revisedDays,
+      dates: (revisedDays || task.days).map(day => getDateForDay(day).format('YYYY-MM-DD')),
+      deps: task.deps.map(dep => plan.getTask(dep)).filter(Boolean).map(summarize),
+      dependents: plan.getTasks().filter(t => t.deps.includes(task.id)).map(summarize)
+    };
+    
+    const text = [
+      `🧩 ${task.id} ${task.name} (${result.status})`,
+      `  Owner: ${result.owner}${result.owner !== task.owner ? ` (reassigned from ${task.owner})` : ''} • ${task.hours}h • Week ${task.week}`,
+      `  Schedule: days ${task.days.join(', ')}${revisedDays ? ` → revised to days ${revisedDays.join(', ')}` : ''} (${result.dates.join(', ')})`,
+      `  Depends on: ${result.deps.map(d => `${d.id} (${d.status})`).join(', ') || 'none'}`,
+      `  Dependents: ${result.dependents.map(d => `${d.id} (${d.owner})`).join(', ') || 'none'}`
+    ].join('\n');
+    return { result, text };
+  },
+  
+  // An owner's tasks and daily load
+  owner([name = '']) {
+    const capacity = getCapacityReport().owners.find(o => o.owner.toLowerCase() === name.toLowerCase());
+    if (!capacity) throw new Error(`Unknown owner "${name}"`);
+    
+    const statuses = getLedgerStatuses();
+    const revisedDays = loadRevisedDays();
+    const owners = loadAssignedOwners();
+    const tasks = plan.getTasks()
+      .filter(task => (owners[task.id] || task.owner) === capacity.owner)
+      .map(task => ({ id: task.id, name: task.name, hours: task.hours, week: task.week, days: revisedDays[task.id] || task.days, status: statuses[task.id] }));
+    const result = { owner: capacity.owner, capacity: capacity.capacity, totalHours: capacity.totalHours, tasks, days: capacity.days, overallocatedDays: capacity.overallocatedDays };
+    
+    const text = [
+      `👤 ${capacity.owner}: ${tasks.length} tasks, ${capacity.totalHours}h (${capacity.capacity}h/day)`,
+      ...tasks.map(task => `  • ${task.id} ${task.name} - ${task.hours}h, days ${task.days.join(', ')} (${task.status})`),
+      `  Load: ${capacity.days.map(d => `day ${d.day} ${d.load}h${d.overallocated ? ' ⚠️' : ''}`).join(', ') || 'none'}`
+    ].join('\n');
+    return { result, text };
+  },
+  
+  // Dependency graph as Graphviz DOT (default) or the schedule as a Mermaid Gantt chart
+  graph([kind = 'dot']) {
+    if (!['dot', 'gantt'].includes(kind)) throw new Error(`Unknown graph "${kind}": expected dot or gantt`);
+    
+    const graph = buildPlanGraph(plan, {
+      revisedDays: loadRevisedDays(),
+      criticalPath: traceCriticalPath(analyzeSchedule(plan).nodes),
+      statuses: getLedgerStatuses()
+    });
+    
+    return { result: graph, text: kind === 'dot' ? toDot(graph, plan) : toMermaidGantt(graph, plan) };
+  },
   
-  console.log(`Current Phase Day: ${currentDay}/18`);
-  console.log(`Current Week: ${currentWeek}`);
-  console.log(`Tasks for today: ${tasksForToday.length}`);
+  // Critical path and completion forecast from the daily reports and the ledger
+  forecast(args, values) {
+    const result = buildForecast({ plan, reports: loadDailyReports(values['reports-dir']), ledger: new TaskLedger() });
+    return { result, text: formatForecast(result) };
+  },
   
-  // Output for GitHub Actions
-  console.log(`::set-output name=tasks::${output.tasks.join(',')}`);
-  console.log(`::set-output name=week::${currentWeek}`);
-  console.log(`::set-output name=day::${currentDay}`);
+  // Per-owner load, overallocated days and optional rebalance suggestions
+  capacity(args, values) {
+    const result = getCapacityReport({ rebalance: values.rebalance });
+    return { result, text: formatCapacityReport(result) };
+  }
+};
+
+function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      day: { type: 'string' },
+      date: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      'reports-dir': { type: 'string', default: 'reports' },
+      rebalance: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
   
-  return output;
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}": expected text or json`);
+  }
+  configureLogging({ service: 'task-scheduler', level: values['log-level'], quiet: values.format === 'json' });
+  
+  const [command = 'today', ...args] = positionals;
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}": expected ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  
+  const { result, text } = COMMANDS[command](args, values);
+  console.log(values.format === 'json' ? JSON.stringify(result, null, 2) : text);
+  return result;
 }
 
 if (require.main === module) {
-  main();
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
 }
 
-module.exports = { getCurrentPhaseDay, getCurrentWeek, getTasksForDay, TASKS };
+module.exports = {
+  getCurrentPhaseDay,
+  getCurrentWeek,
+  getNextDay,
+  getTasksForDay,
+  getWorkingDay,
+  getDateForDay,
+  getToday,
+  isWorkingToday,
+  getRunDate,
+  getCapacityReport,
+  getPhasePlan
+};
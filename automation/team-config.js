@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * HAL Phase 3 - Team Configuration Check
+ * config/team-assignments.json repeats facts the phase plan owns. This
+ * cross-checks the copies against the plan:
+ *
+ *   errors    unknown-owner          plan owner is not a key of `team`
+ *             owner-mismatch         taskAssignments owner differs from the plan owner
+ *             hours-mismatch         estimatedHours differs from the plan hours
+ *             week-mismatch          task listed under another week than in the plan
+ *             unknown-task           taskAssignments entry for a task not in the plan
+ *             invalid-availability   availability for an unknown member, or a bad date range
+ *             invalid-reassignment   reassignment.mode is not apply or propose, or
+ *                                    reassignment.backups names an unknown member
+ *   warnings  unassigned-task        plan task missing from taskAssignments
+ *             assigned-tasks-drift   team[member].assignedTasks differs from the plan
+ *             workload-drift         workloadDistribution totals differ from the plan
+ *
+ * The warned sections are derived from the plan and can be regenerated; the
+ * engine refuses to start while there are errors.
+ *
+ * `availability` lists out-of-office ranges by team key, as
+ * { from, to, reason } with inclusive YYYY-MM-DD dates (see reassignment.js);
+ * a member with a single range may give it without a list.
+ *
+ * Usage:
+ *   node automation/team-config.js check [--json]
+ *   node automation/team-config.js regenerate [--write]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getPhasePlan } = require('./phase-plan');
+const { createLogger, configureLogging } = require('./logger');
+
+const logger = createLogger('team-config');
+
+const DEFAULT_TEAM_CONFIG_PATH = path.join(__dirname, '..', 'config', 'team-assignments.json');
+
+// Line width under which objects and arrays of plain values stay on one line
+const INLINE_WIDTH = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const REASSIGNMENT_MODES = ['apply', 'propose'];
+
+function loadTeamConfig(filePath = DEFAULT_TEAM_CONFIG_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Out-of-office ranges of a member, by team key or name; a single range may be given without a list
+function getAbsences(teamConfig, member) {
+  const ranges = ((teamConfig && teamConfig.availability) || {})[String(member).toLowerCase()] || [];
+  return Array.isArray(ranges) ? ranges : [ranges];
+}
+
+// The absence covering a YYYY-MM-DD date, or null when the member is available
+function findAbsence(teamConfig, member, date) {
+  return getAbsences(teamConfig, member).find(range => range.from <= date && date <= range.to) || null;
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+// assignedTasks and workloadDistribution as the plan defines them, by team key
+function deriveSections(plan, teamConfig) {
+  const tasks = plan.getTasks();
+  const keys = [...new Set([...Object.keys(teamConfig.team || {}), ...tasks.map(task => task.owner.toLowerCase())])];
+
+  return Object.fromEntries(keys.map(key => {
+    const owned = tasks.filter(task => task.owner.toLowerCase() === key);
+    return [key, {
+      assignedTasks: owned.map(task => task.id),
+      workload: {
+        totalTasks: owned.length,
+        totalHours: owned.reduce((sum, task) => sum + task.hours, 0),
+        weeks: [...new Set(owned.map(task => task.week))].sort((a, b) => a - b)
+      }
+    }];
+  }));
+}
+
+/**
+ * Cross-checks a team configuration against a loaded PhasePlan. Returns
+ * { errors, warnings }, each a list of { code, taskId, member, message }.
+ */
+function validateTeamConfig(plan, teamConfig) {
+  const errors = [];
+  const warnings = [];
+  const team = teamConfig.team || {};
+  const assignments = teamConfig.taskAssignments || {};
+  const issue = (code, { taskId = null, member = null }, message) => ({ code, taskId, member, message });
+
+  plan.getTasks().forEach(task => {
+    const owner = task.owner.toLowerCase();
+    if (!team[owner]) {
+      errors.push(issue('unknown-owner', { taskId: task.id }, `owner ${task.owner} is not a member of the team configuration`));
+    }
+
+    const weekKey = Object.keys(assignments).find(week => assignments[week][task.id]);
+    if (!weekKey) {
+      warnings.push(issue('unassigned-task', { taskId: task.id }, 'has no entry in taskAssignments'));
+      return;
+    }
+
+    const assignment = assignments[weekKey][task.id];
+    if (String(assignment.owner).toLowerCase() !== owner) {
+      errors.push(issue('owner-mismatch', { taskId: task.id }, `plan owner ${task.owner} differs from taskAssignments owner ${assignment.owner}`));
+    }
+    if (assignment.estimatedHours !== undefined && assignment.estimatedHours !== task.hours) {
+      errors.push(issue('hours-mismatch', { taskId: task.id }, `plan hours ${task.hours} differ from estimatedHours ${assignment.estimatedHours}`));
+    }
+    if (weekKey !== `week${task.week}`) {
+      errors.push(issue('week-mismatch', { taskId: task.id }, `is in week ${task.week} of the plan but listed under taskAssignments.${weekKey}`));
+    }
+  });
+
+  Object.entries(assignments).forEach(([weekKey, entries]) => {
+    Object.keys(entries).filter(taskId => !plan.getTask(taskId)).forEach(taskId => {
+      errors.push(issue('unknown-task', { taskId }, `taskAssignments.${weekKey} lists a task that is not in the plan`));
+    });
+  });
+
+  Object.keys(teamConfig.availability || {}).forEach(key => {
+    if (!team[key]) {
+      errors.push(issue('invalid-availability', { member: key }, 'availability is listed for a member not in `team`'));
+      return;
+    }
+    getAbsences(teamConfig, key).forEach(range => {
+      const valid = range && DATE_PATTERN.test(range.from) && DATE_PATTERN.test(range.to) && range.from <= range.to;
+      if (!valid) {
+        errors.push(issue('invalid-availability', { member: key }, `availability ${JSON.stringify(range)} is not a { from, to } range of YYYY-MM-DD dates with from <= to`));
+      }
+    });
+  });
+
+  const reassignment = teamConfig.reassignment || {};
+  if (reassignment.mode !== undefined && !REASSIGNMENT_MODES.includes(reassignment.mode)) {
+    errors.push(issue('invalid-reassignment', {}, `reassignment.mode "${reassignment.mode}" is not one of ${REASSIGNMENT_MODES.join(', ')}`));
+  }
+  (reassignment.backups || []).filter(key => !team[String(key).toLowerCase()]).forEach(key => {
+    errors.push(issue('invalid-reassignment', { member: key }, 'reassignment.backups names a member not in `team`'));
+  });
+
+  const derived = deriveSections(plan, teamConfig);
+  const distribution = teamConfig.workloadDistribution || {};
+
+  Object.entries(team).forEach(([key, member]) => {
+    const expected = derived[key];
+
+    if (!sameList(member.assignedTasks || [], expected.assignedTasks)) {
+      warnings.push(issue('assigned-tasks-drift', { member: key }, `assignedTasks [${(member.assignedTasks || []).join(', ')}] differ from the plan [${expected.assignedTasks.join(', ')}]`));
+    }
+
+    const workload = distribution[key];
+    const drifted = !workload
+      ? ['missing']
+      : ['totalTasks', 'totalHours'].filter(field => workload[field] !== expected.workload[field])
+        .concat(sameList(workload.weeks || [], expected.workload.weeks) ? [] : ['weeks']);
+    if (drifted.length > 0) {
+      const found = workload ? drifted.map(field => `${field} ${JSON.stringify(workload[field])}`).join(', ') : 'no entry';
+      warnings.push(issue('workload-drift', { member: key }, `workloadDistribution has ${found}; the plan gives ${JSON.stringify(expected.workload)}`));
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// One line per issue, errors first; shared with plan-linter.js, whose issues have the same shape
+function formatLintResult({ errors, warnings }) {
+  const lines = [
+    ...errors.map(issue => `❌ ${issue.taskId || issue.member || 'team'} [${issue.code}] ${issue.message}`),
+    ...warnings.map(issue => `⚠️  ${issue.taskId || issue.member || 'team'} [${issue.code}] ${issue.message}`)
+  ];
+  lines.push(`${errors.length} error(s), ${warnings.length} warning(s)`);
+  return lines.join('\n');
+}
+
+// Copy of the configuration with assignedTasks and workloadDistribution rebuilt from the plan
+function regenerateDerivedSections(plan, teamConfig) {
+  const derived = deriveSections(plan, teamConfig);
+  const team = Object.fromEntries(Object.entries(teamConfig.team || {})
+    .map(([key, member]) => [key, { ...member, assignedTasks: derived[key].assignedTasks }]));
+
+  return {
+    ...teamConfig,
+    team,
+    workloadDistribution: Object.fromEntries(Object.keys(team).map(key => [key, derived[key].workload]))
+  };
+}
+
+function formatInline(value) {
+  if (Array.isArray(value)) return `[${value.map(formatInline).join(', ')}]`;
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatInline(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * JSON in the layout of config/team-assignments.json: two-space indentation,
+ * top-level sections expanded, and below them arrays of plain values and
+ * entries of maps of records (a task assignment, a member's workload) kept on
+ * one line when they fit INLINE_WIDTH.
+ */
+function formatTeamConfig(value, indent = '', isRecord = false) {
+  const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+  const children = value !== null && typeof value === 'object' ? Object.values(value) : [];
+  const flat = !children.some(item => isObject(item) || (Array.isArray(item) && item.some(isObject)));
+  const inline = formatInline(value);
+
+  if (children.length === 0 || ((Array.isArray(value) || isRecord) && indent.length >= 4 && flat && indent.length + inline.length <= INLINE_WIDTH)) {
+    return inline;
+  }
+
+  const inner = `${indent}  `;
+  const records = children.every(isObject);
+  const entries = Array.isArray(value)
+    ? value.map(item => `${inner}${formatTeamConfig(item, inner)}`)
+    : Object.entries(value).map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatTeamConfig(item, inner, records)}`);
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+
+  return `${open}\n${entries.join(',\n')}\n${indent}${close}`;
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      team: { type: 'string', default: DEFAULT_TEAM_CONFIG_PATH },
+      json: { type: 'boolean', default: false },
+      write: { type: 'boolean', default: false },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'team-config', level: values['log-level'], quiet: values.json });
+
+  const plan = getPhasePlan();
+  const teamConfig = loadTeamConfig(values.team);
+  const [command = 'check'] = positionals;
+
+  if (command === 'check') {
+    const result = validateTeamConfig(plan, teamConfig);
+
+    console.log(values.json ? JSON.stringify({ team: values.team, plan: plan.source, ...result }, null, 2) : formatLintResult(result));
+    if (result.errors.length > 0) process.exit(1);
+    return;
+  }
+
+  if (command === 'regenerate') {
+    const content = `${formatTeamConfig(regenerateDerivedSections(plan, teamConfig))}\n`;
+    if (!values.write) {
+      process.stdout.write(content);
+      return;
+    }
+
+    fs.writeFileSync(values.team, content);
+    logger.info(`✅ Regenerated assignedTasks and workloadDistribution in ${values.team}`);
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}": expected check or regenerate`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`, { error });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  validateTeamConfig,
+  regenerateDerivedSections,
+  formatTeamConfig,
+  formatLintResult,
+  loadTeamConfig,
+  getAbsences,
+  findAbsence,
+  DEFAULT_TEAM_CONFIG_PATH
+};
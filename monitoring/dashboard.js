@@ -3,6 +3,15 @@
 /**
  * HAL Phase 3 - Real-time Monitoring Dashboard
  * Provides live monitoring of automation progress and system health
+ *
+ * Every value comes from a real source: daily reports (HAL_REPORTS_DIR or
+ * --reports-dir, default reports/ in the repository), the task ledger, engine
+ * events, measurements recorded by the engine (automation/measurements.js)
+ * and Node's os/process APIs. Values without a source are null ("no data").
+ *
+ * The server listens on 127.0.0.1 unless HAL_DASHBOARD_HOST says otherwise.
+ * Approval decisions and gate overrides need `Authorization: Bearer <token>`
+ * when HAL_DASHBOARD_TOKEN is set, and are refused on any other host without it.
  */
 
 const express = require('express');
@@ -10,30 +19,70 @@ const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
-const { getCurrentPhaseDay, getCurrentWeek, getTasksForDay } = require('../automation/task-scheduler');
+const { parseArgs } = require('util');
+const { getCurrentPhaseDay, getCurrentWeek, getTasksForDay, getWorkingDay, getRunDate, isWorkingToday, getCapacityReport, getPhasePlan } = require('../automation/task-scheduler');
+const { TaskLedger } = require('../automation/task-ledger');
+const { getClock } = require('../automation/clock');
+const { createLogger, configureLogging } = require('../automation/logger');
+const { FileEventTail } = require('../automation/event-transport');
+const { QualityGates } = require('../automation/quality-gates');
+const { ApprovalQueue } = require('../automation/approvals');
+const { REPORT_SCHEMA_VERSION, listReportFiles, readReport } = require('../automation/report-schema');
+const { buildForecast } = require('../automation/forecast');
+const { getAbsences, findAbsence, loadTeamConfig } = require('../automation/team-config');
+const { loadAssignedOwners } = require('../automation/schedule-state');
+const { MeasurementStore } = require('../automation/measurements');
+const { SystemMetrics } = require('./system-metrics');
+
+const logger = createLogger('dashboard');
+
+const DEFAULT_REPORTS_DIR = path.join(__dirname, '..', 'reports');
+const DEFAULT_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+// Events that end a task's run, for the tasks in progress per member
+const FINISHED_TASK_EVENTS = ['task.completed', 'task.failed', 'task.blocked', 'task.gated', 'task.awaiting_approval'];
 
 class MonitoringDashboard {
-  constructor() {
+  constructor(options = {}) {
+    this.clock = options.clock || getClock();
     this.app = express();
     this.wss = null;
     this.clients = new Set();
+    this.invalidReports = new Set();
+    this.reportsDir = options.reportsDir || process.env.HAL_REPORTS_DIR || DEFAULT_REPORTS_DIR;
+    this.host = options.host || process.env.HAL_DASHBOARD_HOST || DEFAULT_HOST;
+    this.token = options.token || process.env.HAL_DASHBOARD_TOKEN || null;
+    this.ledger = new TaskLedger();
+    const teamConfig = loadTeamConfig();
+    this.gates = new QualityGates({ ledger: this.ledger, teamConfig });
+    this.approvals = new ApprovalQueue({ ledger: this.ledger, teamConfig, gates: this.gates, clock: this.clock });
+    this.measurements = new MeasurementStore();
+    this.systemMetrics = new SystemMetrics();
+    // Task id -> owner for tasks the engine started and has not finished
+    this.runningTasks = new Map();
     this.metrics = {
       startTime: moment(),
-      tasksCompleted: 0,
-      tasksTotal: 42,
-      currentDay: getCurrentPhaseDay(),
-      currentWeek: getCurrentWeek(getCurrentPhaseDay()),
+      tasksTotal: getPhasePlan().totalTasks,
+      currentDay: getCurrentPhaseDay(this.clock),
+      currentWeek: getCurrentWeek(getCurrentPhaseDay(this.clock)),
       systemHealth: 'healthy',
+      currentRun: null,
       alerts: []
     };
     
     this.setupExpress();
-    console.log('📊 HAL Phase 3 Monitoring Dashboard Initialized');
+    logger.info('📊 HAL Phase 3 Monitoring Dashboard Initialized');
   }
 
   setupExpress() {
-    this.app.use(express.static('monitoring/public'));
+    this.app.use(express.static(path.join(__dirname, 'public')));
     this.app.use(express.json());
+    const authorizeDecision = this.authorizeDecision.bind(this);
+    this.app.use('/api', (req, res, next) => {
+      this.systemMetrics.recordRequest();
+      next();
+    });
     
     // API Routes
     this.app.get('/api/status', (req, res) => {
@@ -52,6 +101,56 @@ class MonitoringDashboard {
       res.json(this.getTeamStatus());
     });
     
+    this.app.get('/api/forecast', (req, res) => {
+      try {
+        res.json(this.getForecast());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // ?rebalance=true adds shift and reassignment suggestions
+    this.app.get('/api/capacity', (req, res) => {
+      try {
+        res.json(getCapacityReport({ rebalance: req.query.rebalance === 'true' }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    this.app.get('/api/gates', (req, res) => {
+      res.json(this.getQualityGates());
+    });
+    
+    this.app.post('/api/gates/:gateId/override', authorizeDecision, (req, res) => {
+      try {
+        const gate = this.gates.override(req.params.gateId, { by: req.body.by, reason: req.body.reason });
+        this.addAlert({ level: 'warning', message: `Quality gate ${req.params.gateId} overridden by ${req.body.by}`, component: 'quality-gates' });
+        res.json(gate);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    this.app.get('/api/approvals', (req, res) => {
+      res.json(this.getPendingApprovals());
+    });
+    
+    // Body: { "by": "<approver>", "comment": "<text>" }; rejections require a comment
+    this.app.post('/api/approvals/:taskId/:decision(approve|reject)', authorizeDecision, (req, res) => {
+      try {
+        const approval = this.approvals.decide(req.params.taskId, { decision: req.params.decision, by: req.body.by, comment: req.body.comment });
+        this.addAlert({
+          level: approval.status === 'approved' ? 'info' : 'warning',
+          message: `Task ${req.params.taskId} ${approval.status} by ${approval.decision.by}`,
+          component: 'approvals'
+        });
+        res.json(approval);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.json({ 
@@ -71,7 +170,7 @@ class MonitoringDashboard {
     this.wss = new WebSocket.Server({ server });
     
     this.wss.on('connection', (ws) => {
-      console.log('📱 New dashboard client connected');
+      logger.info('📱 New dashboard client connected', { clients: this.clients.size + 1 });
       this.clients.add(ws);
       
       // Send initial data
@@ -82,11 +181,11 @@ class MonitoringDashboard {
       
       ws.on('close', () => {
         this.clients.delete(ws);
-        console.log('📱 Dashboard client disconnected');
+        logger.info('📱 Dashboard client disconnected', { clients: this.clients.size });
       });
       
       ws.on('error', (error) => {
-        console.error('📱 WebSocket error:', error);
+        logger.error(`📱 WebSocket error: ${error.message}`, { error });
         this.clients.delete(ws);
       });
     });
@@ -98,150 +197,184 @@ class MonitoringDashboard {
   }
 
   getSystemStatus() {
-    const currentDay = getCurrentPhaseDay();
-    const tasksToday = getTasksForDay(currentDay);
-    const daysRemaining = 18 - currentDay;
-    const progress = Math.round((currentDay / 18) * 100);
+    const currentDay = getCurrentPhaseDay(this.clock);
+    const workingDay = isWorkingToday(this.clock);
+    const tasksToday = workingDay ? getTasksForDay(currentDay) : [];
+    const plan = getPhasePlan();
+    const { totalDays } = plan;
+    // Working days left after today: weekends and holidays do not count down the phase, and nothing has elapsed before it starts
+    const elapsed = this.clock.targetDay !== null ? currentDay : Math.min(getWorkingDay(getRunDate(this.clock)), totalDays);
+    const daysRemaining = totalDays - elapsed;
+    const progress = Math.round((elapsed / totalDays) * 100);
+    const tasksCompleted = this.getTasksCompleted();
     
     return {
       phase: {
         currentDay: currentDay,
-        totalDays: 18,
+        totalDays,
+        date: getRunDate(this.clock).format('YYYY-MM-DD'),
+        workingDay,
+        targetDate: plan.getTargetDate().format('YYYY-MM-DD'),
+        timezone: plan.calendar.timezone,
         daysRemaining: daysRemaining,
         progress: progress,
-        week: getCurrentWeek(currentDay)
+        week: getCurrentWeek(currentDay),
+        clockOverride: this.clock.describe()
       },
       tasks: {
         today: tasksToday.length,
-        completed: this.metrics.tasksCompleted,
+        completed: tasksCompleted,
         total: this.metrics.tasksTotal,
-        completionRate: Math.round((this.metrics.tasksCompleted / this.metrics.tasksTotal) * 100)
+        completionRate: Math.round((tasksCompleted / this.metrics.tasksTotal) * 100)
       },
       system: {
         health: this.metrics.systemHealth,
         uptime: moment().diff(this.metrics.startTime, 'seconds'),
         lastUpdate: moment().toISOString(),
-        alerts: this.metrics.alerts.length
+        alerts: this.metrics.alerts.length,
+        currentRun: this.metrics.currentRun
       }
     };
   }
 
+  getTasksCompleted() {
+    // The engine writes the ledger from another process, so re-read it on every request
+    this.ledger.load();
+    return this.ledger.getCompletedCount();
+  }
+
+  getQualityGates() {
+    // Gate state is written by the engine and the gates CLI, so re-read it
+    this.gates.state = this.gates.load();
+    return this.gates.summary();
+  }
+
+  getPendingApprovals() {
+    // Approvals are requested by the engine and decided by the CLI too, so re-read them
+    this.approvals.state = this.approvals.load();
+    return this.approvals.getPending();
+  }
+
   getMetrics() {
     const reports = this.getReports();
     
-    // Calculate performance metrics from recent reports
+    // Calculate performance metrics from recent reports; unmeasured (null) values are left out
     const recentReports = reports.slice(-7); // Last 7 days
     const avgSuccessRate = recentReports.length > 0 ? 
-      recentReports.reduce((sum, r) => sum + parseFloat(r.summary.successRate || 0), 0) / recentReports.length : 0;
+      recentReports.reduce((sum, r) => sum + parseFloat(r.summary.successRate || 0), 0) / recentReports.length : null;
     
-    const avgEfficiency = recentReports.length > 0 ?
-      recentReports.reduce((sum, r) => sum + (r.performance.efficiency || 0), 0) / recentReports.length : 0;
+    const efficiencies = recentReports.map(r => r.performance.efficiency).filter(value => value !== null);
+    const avgEfficiency = efficiencies.length > 0 ?
+      efficiencies.reduce((sum, value) => sum + value, 0) / efficiencies.length : null;
     
     return {
       performance: {
-        successRate: Math.round(avgSuccessRate),
-        efficiency: Math.round(avgEfficiency),
+        successRate: avgSuccessRate === null ? null : Math.round(avgSuccessRate),
+        efficiency: avgEfficiency === null ? null : Math.round(avgEfficiency),
         averageTaskTime: this.calculateAverageTaskTime(recentReports),
-        errorRate: this.calculateErrorRate(recentReports)
-      },
-      targets: {
-        memoryRetrieval: { target: 500, current: Math.floor(Math.random() * 200) + 200 }, // ms
-        guardrailLatency: { target: 200, current: Math.floor(Math.random() * 100) + 50 }, // ms
-        contextRetention: { target: 95, current: Math.floor(Math.random() * 10) + 90 }, // %
-        violationDetection: { target: 99, current: Math.floor(Math.random() * 5) + 95 } // %
+        errorRate: this.calculateErrorRate(recentReports),
+        reports: recentReports.length
       },
+      // Latest recorded measurement per target; status no_data until one is recorded
+      targets: this.measurements.summarize(),
       realtime: {
-        cpuUsage: Math.floor(Math.random() * 30) + 20, // %
-        memoryUsage: Math.floor(Math.random() * 40) + 30, // %
-        apiRequests: Math.floor(Math.random() * 100) + 50, // per minute
+        ...this.systemMetrics.collect(),
         activeConnections: this.clients.size
       }
     };
   }
 
   getReports() {
-    const reportsDir = '../reports';
-    if (!fs.existsSync(reportsDir)) return [];
-    
     try {
-      const files = fs.readdirSync(reportsDir)
-        .filter(file => file.startsWith('daily-report-') && file.endsWith('.json'))
-        .sort()
-        .slice(-30); // Last 30 reports
-      
-      return files.map(file => {
-        try {
-          const content = fs.readFileSync(path.join(reportsDir, file), 'utf8');
-          return JSON.parse(content);
-        } catch (error) {
-          console.error(`Failed to read report ${file}:`, error);
+      return listReportFiles(this.reportsDir)
+        .slice(-30) // Last 30 reports
+        .map(filePath => {
+          const { report, valid, errors } = readReport(filePath);
+          if (valid) return report;
+          
+          this.reportInvalidReport(path.basename(filePath), errors);
           return null;
-        }
-      }).filter(Boolean);
+        })
+        .filter(Boolean);
     } catch (error) {
-      console.error('Failed to read reports directory:', error);
+      logger.error(`Failed to read reports directory: ${error.message}`, { error });
       return [];
     }
   }
 
+  // Critical path and completion forecast from the valid daily reports and the ledger
+  getForecast() {
+    this.ledger.load();
+    return buildForecast({ plan: getPhasePlan(), reports: this.getReports(), ledger: this.ledger });
+  }
+
+  // Raises one alert per invalid report file instead of one per metrics refresh
+  reportInvalidReport(file, errors) {
+    if (this.invalidReports.has(file)) return;
+    this.invalidReports.add(file);
+    
+    logger.error(`Invalid daily report ${file}: ${errors.join('; ')}`, { file, errors });
+    this.addAlert({
+      level: 'error',
+      message: `Daily report ${file} does not match schema v${REPORT_SCHEMA_VERSION} and is excluded from metrics: ${errors.slice(0, 3).join('; ')}`,
+      component: 'reports'
+    });
+  }
+
   getTeamStatus() {
     try {
-      const teamConfig = JSON.parse(fs.readFileSync('../config/team-assignments.json', 'utf8'));
+      const teamConfig = loadTeamConfig();
+      const tasks = getPhasePlan().getTasks();
+      const owners = loadAssignedOwners();
+      const today = getRunDate(this.clock).format('YYYY-MM-DD');
+      this.ledger.load();
+      const executions = Object.values(this.ledger.state.tasks).flatMap(record => record.history);
       
-      // Simulate team member activity status
+      // Activity from the ledger and engine events: out of office, running a task, or available
       const teamStatus = {};
       Object.keys(teamConfig.team).forEach(memberId => {
         const member = teamConfig.team[memberId];
+        const absence = findAbsence(teamConfig, memberId, today);
+        // Tasks as currently owned, after reassignments for absences
+        const assignedTasks = tasks.filter(task => (owners[task.id] || task.owner) === member.name).map(task => task.id);
+        const memberExecutions = executions.filter(entry => entry.owner === member.name);
+        const tasksInProgress = [...this.runningTasks.values()].filter(owner => owner === member.name).length;
         teamStatus[memberId] = {
           ...member,
-          status: this.getRandomStatus(),
-          lastActive: moment().subtract(Math.random() * 120, 'minutes').toISOString(),
-          tasksInProgress: member.assignedTasks.filter(() => Math.random() < 0.3).length,
-          completedToday: Math.floor(Math.random() * 3)
+          assignedTasks,
+          availability: getAbsences(teamConfig, memberId),
+          outOfOffice: absence,
+          reassigned: {
+            received: tasks.filter(task => owners[task.id] === member.name).map(task => ({ taskId: task.id, from: task.owner })),
+            handedOff: tasks.filter(task => task.owner === member.name && owners[task.id]).map(task => ({ taskId: task.id, to: owners[task.id] }))
+          },
+          status: absence ? 'out_of_office' : tasksInProgress > 0 ? 'busy' : 'available',
+          // Last task result recorded for them; null before their first task
+          lastActive: memberExecutions.reduce((latest, entry) => (!latest || entry.recordedAt > latest ? entry.recordedAt : latest), null),
+          tasksInProgress,
+          completedToday: memberExecutions.filter(entry => entry.status === 'completed' && entry.date === today).length
         };
       });
       
       return teamStatus;
     } catch (error) {
-      console.error('Failed to load team configuration:', error);
+      logger.error(`Failed to load team configuration: ${error.message}`, { error });
       return {};
     }
   }
 
-  getRandomStatus() {
-    const statuses = ['online', 'busy', 'away', 'offline'];
-    const weights = [0.4, 0.3, 0.2, 0.1]; // 40% online, 30% busy, etc.
-    
-    const random = Math.random();
-    let cumulative = 0;
-    
-    for (let i = 0; i < statuses.length; i++) {
-      cumulative += weights[i];
-      if (random <= cumulative) {
-        return statuses[i];
-      }
-    }
-    
-    return 'offline';
-  }
-
   calculateAverageTaskTime(reports) {
-    if (reports.length === 0) return 0;
-    
-    const totalTime = reports.reduce((sum, report) => {
-      return sum + (report.performance.averageTime || 0);
-    }, 0);
+    const times = reports.map(report => report.performance.averageTime).filter(value => value !== null);
+    if (times.length === 0) return null;
     
-    return Math.round(totalTime / reports.length);
+    return Math.round(times.reduce((sum, value) => sum + value, 0) / times.length);
   }
 
   calculateErrorRate(reports) {
-    if (reports.length === 0) return 0;
-    
     const totalTasks = reports.reduce((sum, report) => sum + report.summary.total, 0);
     const totalFailed = reports.reduce((sum, report) => sum + report.summary.failed, 0);
     
-    return totalTasks > 0 ? Math.round((totalFailed / totalTasks) * 100) : 0;
+    return totalTasks > 0 ? Math.round((totalFailed / totalTasks) * 100) : null;
   }
 
   addAlert(alert) {
@@ -259,7 +392,7 @@ class MonitoringDashboard {
     }
     
     this.broadcastUpdate();
-    console.log('🚨 Alert added:', alert.message);
+    logger.info(`🚨 Alert added: ${alert.message}`, { alert: alertWithTimestamp });
   }
 
   broadcastUpdate() {
@@ -271,7 +404,9 @@ class MonitoringDashboard {
       data: {
         status: this.getSystemStatus(),
         metrics: this.getMetrics(),
-        team: this.getTeamStatus()
+        team: this.getTeamStatus(),
+        gates: this.getQualityGates(),
+        approvals: this.getPendingApprovals()
       }
     };
     
@@ -280,75 +415,125 @@ class MonitoringDashboard {
         try {
           client.send(JSON.stringify(data));
         } catch (error) {
-          console.error('Failed to send update to client:', error);
+          logger.error(`Failed to send update to client: ${error.message}`, { error });
           this.clients.delete(client);
         }
       }
     });
   }
 
+  // Decisions carry an approver's name, so they must come from someone trusted to use it
+  authorizeDecision(req, res, next) {
+    if (this.token) {
+      if (req.get('authorization') === `Bearer ${this.token}`) return next();
+      return res.status(401).json({ error: 'A valid dashboard token is required' });
+    }
+
+    if (LOOPBACK_HOSTS.includes(this.host)) return next();
+    return res.status(403).json({ error: `Set HAL_DASHBOARD_TOKEN to accept decisions on ${this.host}` });
+  }
+
   updateMetrics(metrics) {
     this.metrics = { ...this.metrics, ...metrics };
     this.broadcastUpdate();
   }
 
   start(port = 3000) {
-    const server = this.app.listen(port, () => {
-      console.log(`📊 Monitoring Dashboard running on http://localhost:${port}`);
-      console.log(`🔍 API endpoints available at http://localhost:${port}/api/`);
+    const server = this.app.listen(port, this.host, () => {
+      logger.info(`📊 Monitoring Dashboard running on http://${this.host}:${port}`, { port, host: this.host });
+      logger.info(`🔍 API endpoints available at http://${this.host}:${port}/api/`);
     });
     
     this.setupWebSocket(server);
     
-    // Simulate periodic metric updates
-    this.startMetricSimulation();
+    // Follow what the engine is doing from its events file
+    this.startEventIngestion();
     
     return server;
   }
 
-  startMetricSimulation() {
-    // Update system health periodically
-    setInterval(() => {
-      // Simulate occasional system issues
-      if (Math.random() < 0.05) { // 5% chance
-        this.metrics.systemHealth = 'warning';
-        this.addAlert({
-          level: 'warning',
-          message: 'High memory usage detected',
-          component: 'automation-engine'
-        });
-      } else if (Math.random() < 0.02) { // 2% chance
+  startEventIngestion(tail = new FileEventTail()) {
+    this.eventTail = tail.start(event => this.ingestEvent(event));
+    logger.info(`📡 Following engine events from ${tail.filePath}`);
+    return this.eventTail;
+  }
+
+  ingestEvent(event) {
+    const { payload = {} } = event;
+    
+    if (event.type === 'run.started') this.runningTasks.clear();
+    if (event.type === 'task.started') this.runningTasks.set(payload.taskId, payload.owner);
+    if (FINISHED_TASK_EVENTS.includes(event.type)) this.runningTasks.delete(payload.taskId);
+    
+    switch (event.type) {
+      case 'run.started':
+        this.metrics.currentRun = { runId: event.runId, day: event.day, week: event.week, startedAt: event.timestamp, failed: 0, blocked: 0 };
+        this.metrics.systemHealth = 'healthy';
+        this.addAlert({ level: 'info', message: `Run ${event.runId} started for day ${event.day} (${payload.pending.length} tasks)`, component: 'automation-engine' });
+        break;
+      case 'task.completed':
+        this.addAlert({ level: 'info', message: `Task ${payload.taskId} completed successfully (${this.getTasksCompleted()}/${this.metrics.tasksTotal})`, component: 'task-executor' });
+        break;
+      case 'task.failed':
+        if (this.metrics.currentRun) this.metrics.currentRun.failed += 1;
         this.metrics.systemHealth = 'error';
+        this.addAlert({ level: 'error', message: `Task ${payload.taskId} failed: ${payload.message}`, component: 'task-executor' });
+        break;
+      case 'task.blocked':
+        if (this.metrics.currentRun) this.metrics.currentRun.blocked += 1;
+        if (this.metrics.systemHealth === 'healthy') this.metrics.systemHealth = 'warning';
+        this.addAlert({ level: 'warning', message: `Task ${payload.taskId} blocked: ${payload.message}`, component: 'task-executor' });
+        break;
+      case 'task.gated':
+        this.addAlert({ level: 'warning', message: `Task ${payload.taskId} gated: ${payload.message}`, component: 'quality-gates' });
+        break;
+      case 'task.awaiting_approval':
+        this.addAlert({ level: 'info', message: `Task ${payload.taskId} awaiting approval`, component: 'approvals' });
+        break;
+      case 'gate.evaluated':
+        if (payload.status === 'failed') this.metrics.systemHealth = 'error';
         this.addAlert({
-          level: 'error',
-          message: 'Task execution timeout',
-          component: 'task-executor'
+          level: payload.status === 'failed' ? 'error' : 'info',
+          message: `Quality gate ${payload.name} ${payload.status}`,
+          component: 'quality-gates'
         });
-      } else {
-        this.metrics.systemHealth = 'healthy';
-      }
-    }, 60000); // Every minute
+        break;
+      case 'report.generated':
+        this.addAlert({ level: 'info', message: `Daily report generated for ${payload.date}`, component: 'automation-engine' });
+        break;
+      case 'retrospective.generated':
+        this.addAlert({ level: 'info', message: `Retrospective ${payload.scope} generated: ${payload.summary.completed}/${payload.summary.planned} tasks completed`, component: 'automation-engine' });
+        break;
+      default:
+        break;
+    }
     
-    // Simulate task completion updates
-    setInterval(() => {
-      if (Math.random() < 0.1) { // 10% chance per interval
-        this.metrics.tasksCompleted += 1;
-        
-        if (this.metrics.tasksCompleted <= this.metrics.tasksTotal) {
-          this.addAlert({
-            level: 'info',
-            message: `Task completed successfully (${this.metrics.tasksCompleted}/${this.metrics.tasksTotal})`,
-            component: 'task-executor'
-          });
-        }
+    this.broadcastEvent(event);
+  }
+
+  broadcastEvent(event) {
+    const data = JSON.stringify({ type: 'event', event });
+    
+    this.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data);
       }
-    }, 30000); // Every 30 seconds
+    });
   }
 }
 
 // Main execution
 if (require.main === module) {
-  const dashboard = new MonitoringDashboard();
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      'reports-dir': { type: 'string' },
+      'log-level': { type: 'string' }
+    }
+  });
+  configureLogging({ service: 'dashboard', level: values['log-level'] });
+  
+  const dashboard = new MonitoringDashboard({ reportsDir: values['reports-dir'] });
   
   // Create monitoring public directory if it doesn't exist
   const publicDir = path.join(__dirname, 'public');
@@ -360,7 +545,7 @@ if (require.main === module) {
   
   // Handle graceful shutdown
   process.on('SIGTERM', () => {
-    console.log('📊 Monitoring Dashboard shutting down...');
+    logger.info('📊 Monitoring Dashboard shutting down...');
     process.exit(0);
   });
 }
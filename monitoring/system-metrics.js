@@ -0,0 +1,91 @@
+/**
+ * HAL Phase 3 - Dashboard System Metrics
+ * Host and process statistics from Node's os and process APIs, and the
+ * dashboard's own API request rate over the last minute. CPU usage is the
+ * share of busy time since the previous sample (since boot for the first).
+ */
+
+const os = require('os');
+
+const REQUEST_WINDOW_MS = 60000;
+const MB = 1024 * 1024;
+
+function readCpuTimes() {
+  return os.cpus().reduce((sum, cpu) => ({
+    idle: sum.idle + cpu.times.idle,
+    total: sum.total + Object.values(cpu.times).reduce((a, b) => a + b, 0)
+  }), { idle: 0, total: 0 });
+}
+
+function toMb(bytes) {
+  return Math.round(bytes / MB);
+}
+
+class SystemMetrics {
+  constructor() {
+    this.cpuSample = { idle: 0, total: 0 };
+    this.processSample = { usage: process.cpuUsage(), at: process.hrtime.bigint() };
+    this.requests = [];
+  }
+
+  recordRequest(now = Date.now()) {
+    this.requests.push(now);
+    this.pruneRequests(now);
+  }
+
+  pruneRequests(now = Date.now()) {
+    while (this.requests.length > 0 && this.requests[0] <= now - REQUEST_WINDOW_MS) {
+      this.requests.shift();
+    }
+  }
+
+  // Busy share of all cores since the previous sample, or null when no time has passed
+  sampleCpuUsage() {
+    const current = readCpuTimes();
+    const idle = current.idle - this.cpuSample.idle;
+    const total = current.total - this.cpuSample.total;
+    this.cpuSample = current;
+
+    return total > 0 ? Math.round((1 - idle / total) * 100) : null;
+  }
+
+  // This process's CPU time against wall time since the previous sample, as % of one core
+  sampleProcessCpuUsage() {
+    const at = process.hrtime.bigint();
+    const usage = process.cpuUsage(this.processSample.usage);
+    const elapsedMicros = Number(at - this.processSample.at) / 1000;
+    this.processSample = { usage: process.cpuUsage(), at };
+
+    return elapsedMicros > 0 ? Math.round((usage.user + usage.system) / elapsedMicros * 100) : null;
+  }
+
+  collect() {
+    const totalMemory = os.totalmem();
+    const freeMemory = os.freemem();
+    const memory = process.memoryUsage();
+    this.pruneRequests();
+
+    return {
+      cpuUsage: this.sampleCpuUsage(), // %
+      memoryUsage: Math.round((1 - freeMemory / totalMemory) * 100), // %
+      apiRequests: this.requests.length, // per minute
+      loadAverage: os.loadavg().map(value => Math.round(value * 100) / 100),
+      host: {
+        cpus: os.cpus().length,
+        totalMemoryMb: toMb(totalMemory),
+        freeMemoryMb: toMb(freeMemory),
+        uptime: Math.round(os.uptime())
+      },
+      process: {
+        pid: process.pid,
+        uptime: Math.round(process.uptime()),
+        cpuUsage: this.sampleProcessCpuUsage(), // % of one core
+        rssMb: toMb(memory.rss),
+        heapUsedMb: toMb(memory.heapUsed),
+        heapTotalMb: toMb(memory.heapTotal)
+      }
+    };
+  }
+}
+
+module.exports = { SystemMetrics, REQUEST_WINDOW_MS };
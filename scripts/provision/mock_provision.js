@@ -15,6 +15,10 @@
 
 const { writeFileSync } = require('fs');
 const { join } = require('path');
+const { parseArgs } = require('util');
+const { createLogger, configureLogging } = require('../../automation/logger');
+
+const logger = createLogger('mock-provision');
 
 /**
  * Generates a mock provision report
@@ -71,10 +75,10 @@ function writeReport(report) {
   
   try {
     writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
-    console.log(`✅ Mock report written to ${reportPath}`);
+    logger.info(`✅ Mock report written to ${reportPath}`, { reportPath });
     return reportPath;
   } catch (error) {
-    console.error(`❌ Failed to write mock report: ${error.message}`);
+    logger.error(`❌ Failed to write mock report: ${error.message}`, { error });
     throw error;
   }
 }
@@ -111,8 +115,14 @@ function printSummary(report) {
  * Main execution function
  */
 async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: { 'log-level': { type: 'string' } }
+  });
+  configureLogging({ service: 'provision', level: values['log-level'] });
+  
   try {
-    console.log('🚀 Starting HAL Phase 3 ZTR Mock Provision...');
+    logger.info('🚀 Starting HAL Phase 3 ZTR Mock Provision...');
     
     // Generate the mock report
     const report = generateMockReport();
@@ -127,8 +137,7 @@ async function main() {
     process.exit(0);
     
   } catch (error) {
-    console.error('❌ Mock provision failed:', error.message);
-    console.error(error.stack);
+    logger.error(`❌ Mock provision failed: ${error.message}`, { error });
     process.exit(1);
   }
 }
@@ -15,6 +15,10 @@
 
 const { writeFileSync } = require('fs');
 const { execSync } = require('child_process');
+const { parseArgs } = require('util');
+const { createLogger, configureLogging } = require('../../automation/logger');
+
+const logger = createLogger('provision-scenarios');
 
 /**
  * Required secrets for provisioning
@@ -53,7 +57,7 @@ async function runProvisioningTasks() {
   const tasks = [];
   
   try {
-    console.log('🏗️  Running infrastructure provisioning...');
+    logger.info('🏗️  Running infrastructure provisioning...');
     
     // Run the existing provision script
     execSync('chmod +x scripts/provision-infrastructure.sh', { stdio: 'inherit' });
@@ -62,12 +66,12 @@ async function runProvisioningTasks() {
     tasks.push({ name: 'Infrastructure Setup', status: 'completed', timestamp: new Date().toISOString() });
     
     // Add additional provisioning tasks here as needed
-    console.log('✅ All provisioning tasks completed successfully');
+    logger.info('✅ All provisioning tasks completed successfully', { tasks: tasks.length });
     
     return tasks;
     
   } catch (error) {
-    console.error('❌ Provisioning failed:', error.message);
+    logger.error(`❌ Provisioning failed: ${error.message}`, { error });
     throw error;
   }
 }
@@ -121,10 +125,10 @@ function writeProvisionReport(report) {
   
   try {
     writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
-    console.log(`✅ Provision report written to ${reportPath}`);
+    logger.info(`✅ Provision report written to ${reportPath}`, { reportPath });
     return reportPath;
   } catch (error) {
-    console.error(`❌ Failed to write provision report: ${error.message}`);
+    logger.error(`❌ Failed to write provision report: ${error.message}`, { error });
     throw error;
   }
 }
@@ -162,17 +166,23 @@ function printProvisionSummary(report) {
  * Main execution function
  */
 async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: { 'log-level': { type: 'string' } }
+  });
+  configureLogging({ service: 'provision', level: values['log-level'] });
+  
   try {
-    console.log('🚀 Starting HAL Phase 3 ZTR Provision...');
+    logger.info('🚀 Starting HAL Phase 3 ZTR Provision...');
     
     // Validate secrets
     const secretValidation = validateSecrets();
     if (!secretValidation.valid) {
-      console.error('❌ Missing required secrets:', secretValidation.missing.join(', '));
+      logger.error(`❌ Missing required secrets: ${secretValidation.missing.join(', ')}`, { missing: secretValidation.missing });
       process.exit(1);
     }
     
-    console.log('✅ All required secrets validated');
+    logger.info('✅ All required secrets validated');
     
     // Run provisioning tasks
     const tasks = await runProvisioningTasks();
@@ -190,8 +200,7 @@ async function main() {
     process.exit(0);
     
   } catch (error) {
-    console.error('❌ Provision failed:', error.message);
-    console.error(error.stack);
+    logger.error(`❌ Provision failed: ${error.message}`, { error });
     process.exit(1);
   }
 }
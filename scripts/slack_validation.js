@@ -4,6 +4,9 @@
  * into HAL's automation workflows.
  */
 
+const { Notifier } = require('../automation/notifier');
+const { SlackTransport } = require('../automation/notification-transports');
+
 const SLACK_VALIDATION = {
   FORBIDDEN_PREFIXES: ['_'],
   FALLBACK_CHANNEL: '#hal-alerts',
@@ -71,18 +74,10 @@ class SlackValidator {
     }
 
     try {
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text: messagePrefix + message
-        })
+      await new SlackTransport({ webhookUrl, channel: targetChannel }).send({
+        message: { text: messagePrefix + message }
       });
 
-      if (!response.ok) {
-        throw new Error(`Slack API error: ${response.status}`);
-      }
-
       return {
         success: true,
         channel: targetChannel,
@@ -99,19 +94,19 @@ class SlackValidator {
     }
   }
 
-  static async notifyValidationFailure(webhookUrl, originalChannel, error, context) {
-    const alertMessage = `🚨 *HAL Slack Validation Failure*\n\n` +
+  static formatValidationFailure(originalChannel, error, context) {
+    return `🚨 *HAL Slack Validation Failure*\n\n` +
       `**Channel:** ${originalChannel}\n` +
       `**Error:** ${error}\n` +
       `${context ? `**Context:** ${context}\n` : ''}` +
       `**Time:** ${new Date().toISOString()}\n` +
       `**Action:** Message redirected to ${SLACK_VALIDATION.FALLBACK_CHANNEL}`;
+  }
 
+  static async notifyValidationFailure(webhookUrl, originalChannel, error, context) {
     try {
-      await fetch(webhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: alertMessage })
+      await new SlackTransport({ webhookUrl, channel: SLACK_VALIDATION.FALLBACK_CHANNEL }).send({
+        message: { text: this.formatValidationFailure(originalChannel, error, context) }
       });
     } catch (error) {
       console.error('Failed to send validation failure notification:', error);
@@ -123,7 +118,7 @@ class HalPhase3Automation {
   constructor() {
     this.airtableApiKey = process.env.AIRTABLE_API_KEY;
     this.airtableBaseId = process.env.AIRTABLE_BASE_ID;
-    this.slackWebhookUrl = process.env.SLACK_WEBHOOK_URL;
+    this.notifier = new Notifier();
     this.validationEnabled = process.env.HAL_SLACK_VALIDATION === 'enabled';
   }
 
@@ -207,34 +202,45 @@ class HalPhase3Automation {
     ];
   }
 
+  // Delivered through the notifier, whose routes pick destinations by channel and severity
   async notifyProgress(channel, message, context) {
-    if (!this.slackWebhookUrl) {
-      console.log(`Would notify ${channel}: ${message}`);
-      return;
-    }
+    let targetChannel = channel;
+    let text = message;
 
     if (this.validationEnabled) {
-      return await SlackValidator.postToSlack(
-        this.slackWebhookUrl,
-        channel,
-        message,
-        context
-      );
-    } else {
-      // Legacy notification without validation
-      console.warn('⚠️ Slack validation disabled - posting without validation');
-      try {
-        const response = await fetch(this.slackWebhookUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ text: message })
+      const validation = SlackValidator.validateChannel(channel);
+
+      if (!validation.valid) {
+        console.warn(`Slack validation failed for ${channel}: ${validation.error}`);
+
+        await this.notifier.notify({
+          type: 'slack.validation_failed',
+          severity: 'error',
+          channel: validation.fallback,
+          message: { text: SlackValidator.formatValidationFailure(channel, validation.error, context) }
         });
-        return { success: response.ok };
-      } catch (error) {
-        console.error('Legacy Slack notification failed:', error);
-        return { success: false };
+
+        targetChannel = validation.fallback;
+        text = `⚠️ *[Redirected from ${channel}]* ${message}`;
       }
+    } else {
+      console.warn('⚠️ Slack validation disabled - posting without validation');
     }
+
+    const results = await this.notifier.notify({
+      type: 'automation.progress',
+      severity: targetChannel === SLACK_VALIDATION.FALLBACK_CHANNEL ? 'error' : 'info',
+      channel: targetChannel,
+      message: { text },
+      context: { context }
+    });
+
+    return {
+      success: results.every(r => r.delivered || r.skipped),
+      channel: targetChannel,
+      redirected: targetChannel !== channel,
+      destinations: results
+    };
   }
 
   async sendCompletionNotification() {
@@ -0,0 +1,102 @@
+/**
+ * HAL Phase 3 - Rescheduler
+ * Unfinished tasks are carried forward, including tasks held by a quality
+ * gate, so they still run once the gate is overridden.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hal-rescheduler-'));
+process.env.HAL_LEDGER_PATH = path.join(stateDir, 'task-ledger.json');
+process.env.HAL_SCHEDULE_PATH = path.join(stateDir, 'schedule.json');
+process.env.HAL_ASSIGNMENTS_PATH = path.join(stateDir, 'assignments.json');
+process.env.HAL_GATE_STATE_PATH = path.join(stateDir, 'quality-gates.json');
+process.env.HAL_LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hal-rescheduler-logs-'));
+
+require('../automation/logger').configureLogging({ quiet: true });
+
+const { getPhasePlan } = require('../automation/phase-plan');
+const { TaskLedger } = require('../automation/task-ledger');
+const { Rescheduler } = require('../automation/rescheduler');
+const { QualityGates } = require('../automation/quality-gates');
+const { getTasksForDay } = require('../automation/task-scheduler');
+
+const plan = getPhasePlan();
+const teamConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'team-assignments.json'), 'utf8'));
+const GATE_ID = 'week1-memory-integration';
+const HELD = ['5.1', '5.2', '5.3'];
+
+let ledger;
+let gates;
+
+beforeEach(() => {
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  fs.mkdirSync(stateDir, { recursive: true });
+
+  ledger = new TaskLedger();
+  plan.getTasks().filter(task => task.week === 1).forEach(task => {
+    ledger.recordResult({ taskId: task.id, status: 'completed', owner: task.owner }, { day: Math.max(...task.days), week: 1 });
+  });
+
+  // The week 1 gate failed on day 7 and held week 2 on days 8 and 9
+  gates = new QualityGates({ ledger, teamConfig });
+  gates.state.gates[GATE_ID] = { gateId: GATE_ID, status: 'failed', criteria: [] };
+  gates.save();
+  [8, 9].forEach(day => HELD.forEach(taskId => {
+    ledger.recordResult({ taskId, status: 'gated', message: `Held by quality gate ${GATE_ID}` }, { day, week: 2 });
+  }));
+});
+
+afterAll(() => {
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  fs.rmSync(process.env.HAL_LOG_DIR, { recursive: true, force: true });
+});
+
+describe('Rescheduler', () => {
+  test('carries gated tasks forward once their scheduled days pass', () => {
+    const result = new Rescheduler({ ledger, teamConfig }).reschedule(9);
+    const carried = result.shifts.filter(shift => shift.reason === 'gated');
+
+    expect(carried.map(shift => shift.taskId).sort()).toEqual(HELD);
+    carried.forEach(shift => {
+      expect(shift.to.slice(0, 2)).toEqual([8, 9]);
+      expect(Math.min(...shift.to.slice(2))).toBeGreaterThan(9);
+    });
+    expect(result.unplaced).toEqual([]);
+  });
+
+  test('moves dependents of gated tasks after them', () => {
+    const rescheduler = new Rescheduler({ ledger, teamConfig });
+    rescheduler.reschedule(9);
+
+    const lastHeldDay = Math.max(...HELD.map(taskId => Math.max(...rescheduler.getDays(plan.getTask(taskId)))));
+    ['6.1', '6.2'].forEach(taskId => {
+      expect(Math.min(...rescheduler.getDays(plan.getTask(taskId)))).toBeGreaterThanOrEqual(lastHeldDay);
+    });
+  });
+
+  test('gated tasks run on their carried day after the gate is overridden', () => {
+    const rescheduler = new Rescheduler({ ledger, teamConfig });
+    rescheduler.reschedule(9);
+    const day = rescheduler.getDays(plan.getTask('5.1')).find(d => d > 9);
+
+    const held = getTasksForDay(day).find(task => task.id === '5.1');
+    expect(held).toBeDefined();
+    expect(gates.getHold(held)).not.toBeNull();
+
+    gates.override(GATE_ID, { by: 'lena', reason: 'Integration verified by hand' });
+    expect(gates.getHold(held)).toBeNull();
+  });
+
+  test('carries rejected tasks forward', () => {
+    ledger.recordResult({ taskId: '4.1', status: 'rejected', message: 'Rejected by lena' }, { day: 7, week: 1 });
+
+    const result = new Rescheduler({ ledger, teamConfig }).reschedule(7);
+    const shift = result.shifts.find(s => s.taskId === '4.1');
+
+    expect(shift).toMatchObject({ reason: 'rejected', from: [7] });
+    expect(shift.to[1]).toBeGreaterThan(7);
+  });
+});
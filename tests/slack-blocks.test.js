@@ -0,0 +1,187 @@
+/**
+ * HAL Phase 3 - Slack Block Kit Golden Files
+ * Rebuilds the engine's Slack messages from fixed inputs and compares them
+ * with templates/examples/engine-*.sample.json. Also checks that oversized
+ * input stays within Slack's block and text limits.
+ *
+ * Usage:
+ *   npm run check:blocks                        # fail on any difference
+ *   UPDATE_GOLDEN=1 npm run check:blocks        # rewrite the golden files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPhasePlan } = require('../automation/phase-plan');
+const {
+  LIMITS,
+  buildRunStartedMessage,
+  buildTaskMessage,
+  buildDailyReportMessage,
+  buildAlertMessages,
+  buildRetrospectiveMessage,
+  buildReassignmentMessage,
+  buildGateMessage,
+  buildApprovalReminderMessage
+} = require('../automation/slack-blocks');
+
+const EXAMPLES_DIR = path.join(__dirname, '..', 'templates', 'examples');
+const plan = getPhasePlan();
+
+const task = { id: '2.2', name: 'Semantic Search Engine', owner: 'Mira', day: 3, week: 1 };
+
+const failedResult = {
+  taskId: '2.2',
+  status: 'failed',
+  classification: 'transient',
+  message: 'Vector index build timed out',
+  duration: 95,
+  owner: 'Mira',
+  attempts: [
+    { attempt: 1, status: 'failed', classification: 'transient', error: 'ETIMEDOUT', duration: 30 },
+    { attempt: 2, status: 'failed', classification: 'transient', error: 'Vector index build timed out', duration: 60 }
+  ]
+};
+
+const report = {
+  date: '2025-10-03',
+  day: 3,
+  week: 1,
+  clockOverride: { source: 'cli', day: 3, date: null },
+  summary: { total: 3, completed: 2, failed: 1, blocked: 0, gated: 0, awaitingApproval: 0, successRate: '66.7' },
+  progress: { tasksCompleted: 8, tasksTotal: plan.totalTasks },
+  performance: { totalTime: 12, averageTime: 240, efficiency: 71 },
+  execution: { real: [{ taskId: '1.1', handler: 'schema-design' }], simulated: ['2.1', '2.2', '2.3'] },
+  pendingApprovals: [{ taskId: '2.2', owner: 'Mira' }],
+  nextDay: { day: 4, week: 1, scheduledTasks: 3 },
+  forecast: {
+    status: 'late',
+    completionDay: 19,
+    completionDate: '2025-10-27',
+    slipDays: 1,
+    pace: 0.8,
+    criticalPath: ['2.2', '3.3', '4.1'],
+    atRisk: ['2.2', '3.3']
+  },
+  reschedule: {
+    revision: 1,
+    shifts: [
+      { taskId: '2.2', owner: 'Mira', reason: 'failed', from: [3, 4], to: [3, 4, 5], overallocated: false },
+      { taskId: '3.3', owner: 'Mira', reason: 'dependency', from: [5, 6], to: [6, 7], overallocated: true }
+    ],
+    unplaced: [],
+    diff: [
+      { taskId: '2.2', owner: 'Mira', originalDays: [3, 4], revisedDays: [3, 4, 5] },
+      { taskId: '3.3', owner: 'Mira', originalDays: [5, 6], revisedDays: [6, 7] }
+    ]
+  }
+};
+
+const retrospective = {
+  scope: 'week1',
+  week: 1,
+  name: 'Memory Management Foundation',
+  period: { start: '2025-10-01', end: '2025-10-07' },
+  summary: { planned: 10, completed: 9, open: 1, completionRate: 90, plannedHours: 56, completedHours: 50, slipped: 1 },
+  owners: {
+    aria: { planned: 3, completed: 3, plannedHours: 14, completedHours: 14 },
+    mira: { planned: 4, completed: 3, plannedHours: 24, completedHours: 18 }
+  },
+  slipped: [{ taskId: '3.3', name: 'Memory Retrieval Optimization', owner: 'mira', plannedDay: 6, completedDay: null, slipDays: 1 }],
+  problems: {
+    byStatus: { failed: 1, blocked: 1, gated: 0, rejected: 0 },
+    entries: [
+      { taskId: '2.2', day: 3, status: 'failed', reason: 'Vector index build timed out' },
+      { taskId: '3.3', day: 5, status: 'blocked', reason: 'Dependencies not completed: 2.2' }
+    ]
+  },
+  burndown: [
+    { day: 6, remainingHours: 14, idealRemainingHours: 8 },
+    { day: 7, remainingHours: 6, idealRemainingHours: 0 },
+    { day: 8, remainingHours: null, idealRemainingHours: 0 }
+  ]
+};
+
+const gate = {
+  id: 'week1-memory-integration',
+  name: 'Memory Service Integration',
+  checkpointTask: '4.1',
+  holds: { weeks: [2] }
+};
+
+const gateEvaluation = {
+  gateId: 'week1-memory-integration',
+  status: 'failed',
+  criteria: [
+    { type: 'checkpointCompleted', passed: false, detail: 'Checkpoint task 4.1 is awaiting_approval' },
+    { type: 'successRate', passed: true, detail: '90.0% of 10 tasks completed (minimum 90%)' },
+    { type: 'noFailedCritical', passed: true, detail: 'No failed critical-priority tasks' }
+  ]
+};
+
+const pendingApprovals = [
+  { taskId: '4.1', name: 'Memory Service Integration Testing', owner: 'Zane', day: 7, approvers: ['lena'], requestedAt: '2025-10-09T05:00:00.000Z' },
+  { taskId: '2.2', name: 'Semantic Search Engine', owner: 'Mira', day: 3, approvers: [], requestedAt: '2025-10-03T05:00:00.000Z' }
+];
+
+const GOLDEN = {
+  'engine-run-started.sample.json': () => buildRunStartedMessage({ day: 3, week: 1, totalDays: plan.totalDays, tasksToday: 3 }),
+  'engine-run-resumed.sample.json': () => buildRunStartedMessage({ day: 3, week: 1, totalDays: plan.totalDays, tasksToday: 3, resumed: true, attempt: 2, remaining: 1 }),
+  'engine-task-update.sample.json': () => buildTaskMessage(task, failedResult),
+  'engine-task-truncated.sample.json': () => buildTaskMessage(task, { ...failedResult, attempts: [], message: 'x'.repeat(3500) }),
+  'engine-daily-report.sample.json': () => buildDailyReportMessage(report, { totalDays: plan.totalDays }),
+  'engine-alert.sample.json': () => buildAlertMessages([
+    failedResult,
+    { taskId: '3.3', status: 'blocked', owner: 'Mira', message: 'Dependencies not completed: 2.2' }
+  ])[0],
+  'engine-retrospective.sample.json': () => buildRetrospectiveMessage(retrospective),
+  'engine-reassignment.sample.json': () => buildReassignmentMessage({
+    day: 15,
+    changes: [{ taskId: '10.4', name: 'User Acceptance Testing', from: 'Lena', to: 'Zane', reason: 'out-of-office' }],
+    proposals: [{ taskId: '9.2', name: 'Drift Detection System', owner: 'Mira', absentDays: [15, 16], absence: 'Conference', substitute: null }]
+  }),
+  'engine-gate-failed.sample.json': () => buildGateMessage(gate, gateEvaluation),
+  'engine-gate-passed.sample.json': () => buildGateMessage(gate, { ...gateEvaluation, status: 'passed', criteria: gateEvaluation.criteria.map(c => ({ ...c, passed: true })) }),
+  'engine-approval-reminder.sample.json': () => buildApprovalReminderMessage(pendingApprovals, { now: '2025-10-10T05:00:00.000Z' })
+};
+
+function checkLimits(messages) {
+  messages.forEach(msg => {
+    expect(msg.text).toBeTruthy();
+    expect(msg.blocks.length).toBeLessThanOrEqual(LIMITS.blocks);
+
+    msg.blocks.forEach(block => {
+      if (block.text) expect(block.text.text.length).toBeLessThanOrEqual(LIMITS.sectionText);
+      (block.fields || []).forEach(field => expect(field.text.length).toBeLessThanOrEqual(LIMITS.fieldText));
+      expect((block.fields || []).length).toBeLessThanOrEqual(LIMITS.fieldsPerSection);
+    });
+  });
+}
+
+describe('Slack Block Kit golden files', () => {
+  test.each(Object.keys(GOLDEN))('%s matches the builder output', file => {
+    const filePath = path.join(EXAMPLES_DIR, file);
+    const actual = `${JSON.stringify(GOLDEN[file](), null, 2)}\n`;
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(filePath, actual);
+      return;
+    }
+
+    expect(fs.existsSync(filePath)).toBe(true);
+    expect(actual).toBe(fs.readFileSync(filePath, 'utf8'));
+  });
+
+  test('every message respects Slack limits', () => {
+    checkLimits(Object.values(GOLDEN).map(build => build()));
+  });
+
+  test('oversized alerts are split and truncated within Slack limits', () => {
+    // 120 alerts need three messages, and their 4000-char sections must be truncated
+    const overflow = Array.from({ length: 120 }, (_, i) => ({ ...failedResult, taskId: `x.${i}`, message: 'y'.repeat(4000) }));
+    const alertMessages = buildAlertMessages(overflow);
+
+    checkLimits(alertMessages);
+    expect(alertMessages).toHaveLength(3);
+    expect(alertMessages.reduce((sum, msg) => sum + msg.blocks.length - 1, 0)).toBe(overflow.length);
+  });
+});